@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+const CFB = require('cfb');
+const { SUPPORTED_EXTENSIONS } = require('./fileReader');
+
+// Check if an archive entry is never extracted: folders, macOS metadata
+// and hidden files
+function isSkippedEntry(entryPath) {
+  return entryPath.endsWith('/') ||
+    entryPath.split('/').some(part => part.startsWith('.') || part === '__MACOSX');
+}
+
+// Expand a ZIP archive, and ZIP archives inside it, into separate files.
+// targetPathFor(fileName, index) gives the path each entry is written to.
+// Entries keep only their base name (folders in the archive are flattened);
+// entries with an unsupported extension are not extracted.
+// Returns { files: [{ filePath, fileName }], skipped: [{ fileName, reason }] }
+function expandZip(zipPath, targetPathFor) {
+  const files = [];
+  const skipped = [];
+
+  const expand = (buffer) => {
+    const archive = CFB.read(buffer, { type: 'buffer' });
+
+    archive.FileIndex.forEach((entry, i) => {
+      const entryPath = archive.FullPaths[i].replace(/^[^/]*\//, '');
+      // Type 2 is a stream (file); \x01 names are the reader's own markers
+      if (entry.type !== 2 || !entryPath || entryPath.startsWith('\x01') || isSkippedEntry(entryPath)) return;
+
+      const fileName = path.posix.basename(entryPath);
+      const ext = path.extname(fileName).toLowerCase();
+      const content = Buffer.from(entry.content || []);
+
+      if (ext === '.zip') {
+        expand(content);
+      } else if (!SUPPORTED_EXTENSIONS.includes(ext)) {
+        skipped.push({ fileName: entryPath, reason: `unsupported file type ${ext || '(no extension)'}` });
+      } else {
+        const filePath = targetPathFor(fileName, files.length);
+        fs.writeFileSync(filePath, content);
+        files.push({ filePath, fileName });
+      }
+    });
+  };
+
+  expand(fs.readFileSync(zipPath));
+  return { files, skipped };
+}
+
+module.exports = {
+  expandZip
+};
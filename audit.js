@@ -0,0 +1,202 @@
+const sql = require('mssql');
+const { tableExists, ensureTable } = require('./tableManager');
+const { utcDate } = require('./valueParser');
+
+// Audit table, created on each target database like the data tables
+const AUDIT_TABLE = 'UPLOAD_HISTORY';
+
+const AUDIT_SCHEMA = {
+  columns: {
+    Id: 'BIGINT IDENTITY(1,1)',
+    JobId: 'NVARCHAR(50)',
+    FileName: 'NVARCHAR(260)',
+    FileHash: 'CHAR(64)',
+    Source: 'NVARCHAR(20)',
+    ConnectionName: 'NVARCHAR(100)',
+    TableName: 'NVARCHAR(128)',
+    WriteMode: 'NVARCHAR(30)',
+    DateFrom: 'DATE',
+    DateTo: 'DATE',
+    Stores: 'NVARCHAR(MAX)',
+    TotalRows: 'INT',
+    DeletedCount: 'INT',
+    InsertedCount: 'INT',
+    FailedCount: 'INT',
+    StartedAt: 'DATETIME2',
+    FinishedAt: 'DATETIME2',
+    DurationMs: 'INT',
+    UserName: 'NVARCHAR(100)',
+    Status: 'NVARCHAR(20)',
+    ErrorMessage: 'NVARCHAR(MAX)'
+  },
+  primaryKey: ['Id'],
+  indexes: ['StartedAt', 'TableName', 'FileHash']
+};
+
+// History rows returned when no limit is given, and the most allowed
+const DEFAULT_HISTORY_LIMIT = 100;
+const MAX_HISTORY_LIMIT = 1000;
+
+// Write one load to the audit table.
+// entry: { jobId, fileName, fileHash, source, connectionName, tableName,
+//          writeMode, dateFrom, dateTo, stores, totalRows, deletedCount,
+//          insertedCount, failedCount, startedAt, finishedAt, userName,
+//          status, errorMessage }
+async function recordLoad(pool, entry) {
+  await ensureTable(pool, AUDIT_TABLE, AUDIT_SCHEMA);
+
+  const request = pool.request();
+  request.input('JobId', sql.NVarChar(50), entry.jobId || null);
+  request.input('FileName', sql.NVarChar(260), entry.fileName || null);
+  request.input('FileHash', sql.Char(64), entry.fileHash || null);
+  request.input('Source', sql.NVarChar(20), entry.source || null);
+  request.input('ConnectionName', sql.NVarChar(100), entry.connectionName || null);
+  request.input('TableName', sql.NVarChar(128), entry.tableName || null);
+  request.input('WriteMode', sql.NVarChar(30), entry.writeMode || null);
+  request.input('DateFrom', sql.Date, utcDate(entry.dateFrom || null));
+  request.input('DateTo', sql.Date, utcDate(entry.dateTo || null));
+  request.input('Stores', sql.NVarChar(sql.MAX), (entry.stores || []).join(', '));
+  request.input('TotalRows', sql.Int, entry.totalRows || 0);
+  request.input('DeletedCount', sql.Int, entry.deletedCount || 0);
+  request.input('InsertedCount', sql.Int, entry.insertedCount || 0);
+  request.input('FailedCount', sql.Int, entry.failedCount || 0);
+  request.input('StartedAt', sql.DateTime2, entry.startedAt);
+  request.input('FinishedAt', sql.DateTime2, entry.finishedAt);
+  request.input('DurationMs', sql.Int, entry.finishedAt - entry.startedAt);
+  request.input('UserName', sql.NVarChar(100), entry.userName || null);
+  request.input('Status', sql.NVarChar(20), entry.status);
+  request.input('ErrorMessage', sql.NVarChar(sql.MAX), entry.errorMessage || null);
+
+  const columns = Object.keys(AUDIT_SCHEMA.columns).filter(col => col !== 'Id');
+
+  await request.query(`
+    INSERT INTO [${AUDIT_TABLE}] (${columns.map(col => `[${col}]`).join(', ')})
+    VALUES (${columns.map(col => `@${col}`).join(', ')})
+  `);
+}
+
+// Read the audit table, newest first.
+// filters: { fileName (partial), fileHash, table, source, status, user,
+//            from, to (StartedAt dates, inclusive), limit }
+async function queryHistory(pool, filters = {}) {
+  if (!(await tableExists(pool, AUDIT_TABLE))) {
+    return [];
+  }
+
+  const request = pool.request();
+  const conditions = [];
+
+  if (filters.fileName) {
+    request.input('fileName', sql.NVarChar, `%${filters.fileName}%`);
+    conditions.push('[FileName] LIKE @fileName');
+  }
+  if (filters.fileHash) {
+    request.input('fileHash', sql.Char(64), filters.fileHash);
+    conditions.push('[FileHash] = @fileHash');
+  }
+  if (filters.table) {
+    request.input('table', sql.NVarChar, filters.table);
+    conditions.push('[TableName] = @table');
+  }
+  if (filters.source) {
+    request.input('source', sql.NVarChar, filters.source);
+    conditions.push('[Source] = @source');
+  }
+  if (filters.status) {
+    request.input('status', sql.NVarChar, filters.status);
+    conditions.push('[Status] = @status');
+  }
+  if (filters.user) {
+    request.input('user', sql.NVarChar, filters.user);
+    conditions.push('[UserName] = @user');
+  }
+  if (filters.from) {
+    request.input('from', sql.Date, utcDate(filters.from));
+    conditions.push('[StartedAt] >= @from');
+  }
+  if (filters.to) {
+    request.input('to', sql.Date, utcDate(filters.to));
+    conditions.push('[StartedAt] < DATEADD(day, 1, @to)');
+  }
+
+  const limit = Math.min(parseInt(filters.limit) || DEFAULT_HISTORY_LIMIT, MAX_HISTORY_LIMIT);
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const result = await request.query(`
+    SELECT TOP ${limit} * FROM [${AUDIT_TABLE}] ${where} ORDER BY [StartedAt] DESC
+  `);
+  return result.recordset;
+}
+
+// Compare store lists regardless of order
+function storesKey(stores) {
+  return stores.slice().sort().join('|');
+}
+
+// Look up earlier successful loads of a file's fingerprint (content hash +
+// table + scope) in the audit table:
+//   exact      latest load of the same content into the same table (or null)
+//   sameScope  loads with the same date range and stores but other content
+async function findPreviousLoads(pool, tableName, fileHash, scope) {
+  if (!(await tableExists(pool, AUDIT_TABLE))) {
+    return { exact: null, sameScope: [] };
+  }
+
+  const request = pool.request();
+  request.input('table', sql.NVarChar, tableName);
+  request.input('fileHash', sql.Char(64), fileHash);
+  request.input('dateFrom', sql.Date, utcDate(scope.minDate || null));
+  request.input('dateTo', sql.Date, utcDate(scope.maxDate || null));
+
+  const result = await request.query(`
+    SELECT [JobId], [FileName], [FileHash], [StartedAt], [DateFrom], [DateTo], [Stores]
+    FROM [${AUDIT_TABLE}]
+    WHERE [TableName] = @table AND [Status] = 'success' AND [WriteMode] <> 'undo'
+      AND ([FileHash] = @fileHash OR ([DateFrom] = @dateFrom AND [DateTo] = @dateTo))
+    ORDER BY [StartedAt] DESC
+  `);
+
+  const fileStores = storesKey(scope.stores || []);
+  const rows = result.recordset;
+
+  return {
+    exact: rows.find(row => row.FileHash === fileHash) || null,
+    sameScope: rows.filter(row =>
+      row.FileHash !== fileHash && storesKey(row.Stores ? row.Stores.split(', ') : []) === fileStores
+    )
+  };
+}
+
+// Find the successful load of a job (null if there is none on this database).
+// Undo records share the job ID of the load they undid and are skipped.
+async function findLoad(pool, jobId) {
+  if (!(await tableExists(pool, AUDIT_TABLE))) return null;
+
+  const request = pool.request();
+  request.input('jobId', sql.NVarChar(50), jobId);
+  const result = await request.query(`
+    SELECT TOP 1 * FROM [${AUDIT_TABLE}]
+    WHERE [JobId] = @jobId AND [Status] = 'success' AND [WriteMode] <> 'undo'
+    ORDER BY [StartedAt] DESC
+  `);
+  return result.recordset[0] || null;
+}
+
+// Mark a job's load as undone (it no longer counts as loaded)
+async function markUndone(pool, jobId) {
+  const request = pool.request();
+  request.input('jobId', sql.NVarChar(50), jobId);
+  await request.query(`
+    UPDATE [${AUDIT_TABLE}] SET [Status] = 'undone'
+    WHERE [JobId] = @jobId AND [Status] = 'success' AND [WriteMode] <> 'undo'
+  `);
+}
+
+module.exports = {
+  AUDIT_TABLE,
+  recordLoad,
+  queryHistory,
+  findPreviousLoads,
+  findLoad,
+  markUndone
+};
@@ -0,0 +1,311 @@
+const sql = require('mssql');
+const { Writable } = require('stream');
+const { failingColumn } = require('./rejects');
+const { VALIDATION_ERRORS } = require('./validator');
+const { utcDate } = require('./valueParser');
+
+const DEFAULT_BATCH_SIZE = 5000;
+
+// Failed rows kept in memory for the upload result (all are still logged)
+const MAX_REPORTED_ERRORS = 100;
+
+// Number of failed rows logged with full details
+const DETAILED_ERROR_LIMIT = 5;
+
+// Read column metadata (type, length, precision) for a table
+async function getColumnMetadata(pool, tableName) {
+  const query = `
+    SELECT COLUMN_NAME, DATA_TYPE, CHARACTER_MAXIMUM_LENGTH,
+           NUMERIC_PRECISION, NUMERIC_SCALE, DATETIME_PRECISION, IS_NULLABLE,
+           COLUMNPROPERTY(OBJECT_ID(QUOTENAME(TABLE_SCHEMA) + '.' + QUOTENAME(TABLE_NAME)), COLUMN_NAME, 'IsIdentity') AS IS_IDENTITY
+    FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE TABLE_NAME = @tableName
+    ORDER BY ORDINAL_POSITION
+  `;
+
+  const request = pool.request();
+  request.input('tableName', sql.NVarChar, tableName);
+  const result = await request.query(query);
+
+  const columnMeta = {};
+  result.recordset.forEach(col => {
+    columnMeta[col.COLUMN_NAME] = {
+      name: col.COLUMN_NAME,
+      dataType: col.DATA_TYPE.toLowerCase(),
+      maxLength: col.CHARACTER_MAXIMUM_LENGTH,
+      precision: col.NUMERIC_PRECISION,
+      scale: col.NUMERIC_SCALE,
+      datetimePrecision: col.DATETIME_PRECISION,
+      nullable: col.IS_NULLABLE === 'YES',
+      identity: col.IS_IDENTITY === 1
+    };
+  });
+
+  return columnMeta;
+}
+
+// Check if a SQL data type holds numbers
+function isNumericType(dataType) {
+  return /int|numeric|decimal|float|real|money/.test(dataType || '');
+}
+
+// Check if a SQL data type holds dates
+function isDateType(dataType) {
+  return /date|time/.test(dataType || '');
+}
+
+// SQL column type (as written in DDL) from INFORMATION_SCHEMA metadata
+function columnDefinition(meta) {
+  if (meta.maxLength) {
+    return `${meta.dataType.toUpperCase()}(${meta.maxLength === -1 ? 'MAX' : meta.maxLength})`;
+  }
+  if (meta.dataType === 'decimal' || meta.dataType === 'numeric') {
+    return `${meta.dataType.toUpperCase()}(${meta.precision}, ${meta.scale})`;
+  }
+  if (['datetime2', 'datetimeoffset', 'time'].includes(meta.dataType)) {
+    return `${meta.dataType.toUpperCase()}(${meta.datetimePrecision})`;
+  }
+  return meta.dataType.toUpperCase();
+}
+
+// Map INFORMATION_SCHEMA column metadata to an mssql type
+function toSqlType(meta) {
+  const length = meta.maxLength === -1 || !meta.maxLength ? sql.MAX : meta.maxLength;
+
+  switch (meta.dataType) {
+    case 'bigint': return sql.BigInt;
+    case 'int': return sql.Int;
+    case 'smallint': return sql.SmallInt;
+    case 'tinyint': return sql.TinyInt;
+    case 'bit': return sql.Bit;
+    case 'decimal': return sql.Decimal(meta.precision, meta.scale);
+    case 'numeric': return sql.Numeric(meta.precision, meta.scale);
+    case 'money': return sql.Money;
+    case 'smallmoney': return sql.SmallMoney;
+    case 'float': return sql.Float;
+    case 'real': return sql.Real;
+    case 'date': return sql.Date;
+    case 'datetime': return sql.DateTime;
+    case 'smalldatetime': return sql.SmallDateTime;
+    case 'datetime2': return sql.DateTime2(meta.datetimePrecision);
+    case 'datetimeoffset': return sql.DateTimeOffset(meta.datetimePrecision);
+    case 'time': return sql.Time(meta.datetimePrecision);
+    case 'uniqueidentifier': return sql.UniqueIdentifier;
+    case 'varchar': return sql.VarChar(length);
+    case 'char': return sql.Char(length);
+    case 'nchar': return sql.NChar(length);
+    case 'text': return sql.Text;
+    case 'ntext': return sql.NText;
+    default: return sql.NVarChar(length);
+  }
+}
+
+// Date and time types bound as Date objects (see toSqlValue)
+const DATE_TYPES = ['date', 'datetime', 'smalldatetime', 'datetime2', 'datetimeoffset'];
+
+// Value to bind for a column: ISO date text becomes a Date read as UTC, so
+// the driver does not move it to the previous day on a UTC+ host
+function toSqlValue(meta, value) {
+  return DATE_TYPES.includes(meta.dataType) ? utcDate(value) : value;
+}
+
+// Collect columns present in the rows that exist in the table.
+// Unknown columns are logged once per load (tracked in warnedColumns).
+function collectColumns(rows, columnMeta, warnedColumns, log) {
+  const seen = new Set();
+  const columns = [];
+
+  rows.forEach(row => {
+    Object.keys(row).forEach(col => {
+      if (seen.has(col)) return;
+      seen.add(col);
+
+      if (columnMeta[col]) {
+        columns.push(col);
+      } else if (!warnedColumns.has(col)) {
+        warnedColumns.add(col);
+        log(`Skipping unknown column: ${col}`, 'WARN');
+      }
+    });
+  });
+
+  return columns;
+}
+
+// Build an mssql Table for one batch
+function buildTable(tableName, columns, columnMeta, batch) {
+  const table = new sql.Table(tableName);
+  table.create = false;
+
+  columns.forEach(col => {
+    table.columns.add(col, toSqlType(columnMeta[col]), { nullable: columnMeta[col].nullable });
+  });
+
+  batch.forEach(row => {
+    table.rows.add(...columns.map(col => (row[col] === undefined ? null : toSqlValue(columnMeta[col], row[col]))));
+  });
+
+  return table;
+}
+
+// Insert a single row with a parameterized INSERT (used for failed batches)
+async function insertRow(transaction, tableName, columns, columnMeta, row) {
+  const rowColumns = columns.filter(col => row[col] !== undefined);
+  const columnNames = rowColumns.map(col => `[${col}]`).join(', ');
+  const placeholders = rowColumns.map((_, idx) => `@param${idx}`).join(', ');
+
+  const request = new sql.Request(transaction);
+  rowColumns.forEach((col, idx) => {
+    request.input(`param${idx}`, toSqlType(columnMeta[col]), toSqlValue(columnMeta[col], row[col]));
+  });
+
+  await request.query(`INSERT INTO [${tableName}] (${columnNames}) VALUES (${placeholders})`);
+}
+
+// Log a row error, with full details for the first few
+function logRowError(log, errorCount, rowNumber, columns, row, err) {
+  if (errorCount <= DETAILED_ERROR_LIMIT) {
+    log(`ERROR Row ${rowNumber} Full Details:`, 'ERROR');
+    log(`  Columns (${columns.length}): ${columns.join(', ')}`, 'ERROR');
+    log(`  Error: ${err.message}`, 'ERROR');
+
+    const sampleValues = columns.slice(0, 5).map(col => `${col}="${row[col]}"`).join(', ');
+    log(`  Sample values: ${sampleValues}`, 'ERROR');
+  } else {
+    log(`Row ${rowNumber} error: ${err.message}`, 'ERROR');
+  }
+}
+
+// Count, keep, log and hand off (to onReject) one failed row
+function recordRowError(stats, log, onReject, rowNumber, columns, row, column, err) {
+  stats.errorCount++;
+  if (stats.errors.length < MAX_REPORTED_ERRORS) {
+    stats.errors.push({ row: rowNumber, column, error: err.message, data: row });
+  }
+  logRowError(log, stats.errorCount, rowNumber, columns, row, err);
+  if (onReject) onReject(rowNumber, row, column, err);
+}
+
+// Insert one batch with request.bulk. The batch is protected by a
+// savepoint; when the bulk insert fails it is rolled back to the
+// savepoint and retried row by row so that only the bad rows are reported.
+// rowNumbers holds the file row number of each row in the batch.
+async function insertBatch(transaction, tableName, columnMeta, columns, batch, rowNumbers, stats, log, onReject) {
+  const batchLabel = `rows ${rowNumbers[0]}-${rowNumbers[rowNumbers.length - 1]}`;
+
+  await new sql.Request(transaction).query('SAVE TRANSACTION bulk_batch');
+
+  try {
+    const table = buildTable(tableName, columns, columnMeta, batch);
+    const result = await new sql.Request(transaction).bulk(table);
+    stats.successCount += result.rowsAffected;
+    log(`Bulk inserted ${batchLabel} (${result.rowsAffected} rows)`);
+    return;
+  } catch (err) {
+    log(`Bulk insert of ${batchLabel} failed: ${err.message}. Retrying row by row`, 'WARN');
+
+    try {
+      await new sql.Request(transaction).query('ROLLBACK TRANSACTION bulk_batch');
+    } catch (rollbackErr) {
+      // Transaction is no longer usable, give up on the whole load
+      throw err;
+    }
+  }
+
+  for (let i = 0; i < batch.length; i++) {
+    const row = batch[i];
+
+    try {
+      await insertRow(transaction, tableName, columns, columnMeta, row);
+      stats.successCount++;
+    } catch (err) {
+      recordRowError(stats, log, onReject, rowNumbers[i], columns, row, failingColumn(err, columns), err);
+    }
+  }
+}
+
+// Create an object-mode Writable that collects converted rows into batches
+// and bulk inserts each batch inside the given transaction. Rows that failed
+// validation (VALIDATION_ERRORS) are reported without being sent. The write
+// callback only fires once a full batch is stored, which gives upstream
+// streams backpressure. Counters are exposed on writer.stats.
+// options: { batchSize, log(message, level), onReject(rowNumber, row, column, err),
+//            onProgress({ batch, rowsProcessed, successCount, errorCount }) after each batch }
+function createBulkWriter(transaction, tableName, columnMeta, options = {}) {
+  const batchSize = parseInt(options.batchSize) || DEFAULT_BATCH_SIZE;
+  const log = options.log || console.log;
+  const warnedColumns = new Set();
+  const stats = { successCount: 0, errorCount: 0, errors: [] };
+
+  let batch = [];
+  let rowNumbers = [];
+  let rowCount = 0;
+  let batchCount = 0;
+
+  async function flush() {
+    if (batch.length === 0) return;
+
+    const current = batch;
+    const currentNumbers = rowNumbers;
+    batch = [];
+    rowNumbers = [];
+
+    const columns = collectColumns(current, columnMeta, warnedColumns, log);
+    if (columns.length === 0) {
+      log(`No valid columns found for ${tableName}, skipping ${current.length} rows`, 'WARN');
+    } else {
+      await insertBatch(transaction, tableName, columnMeta, columns, current, currentNumbers, stats, log, options.onReject);
+    }
+
+    batchCount++;
+    if (options.onProgress) {
+      options.onProgress({
+        batch: batchCount,
+        rowsProcessed: stats.successCount + stats.errorCount,
+        successCount: stats.successCount,
+        errorCount: stats.errorCount
+      });
+    }
+  }
+
+  const writer = new Writable({
+    objectMode: true,
+    highWaterMark: batchSize,
+    write(row, encoding, callback) {
+      const rowNumber = ++rowCount;
+
+      const failures = row[VALIDATION_ERRORS];
+      if (failures) {
+        const column = [...new Set(failures.map(failure => failure.column))].join(', ');
+        const err = new Error(failures.map(failure => failure.error).join('; '));
+        recordRowError(stats, log, options.onReject, rowNumber, Object.keys(row), row, column, err);
+        callback();
+        return;
+      }
+
+      batch.push(row);
+      rowNumbers.push(rowNumber);
+      if (batch.length < batchSize) {
+        callback();
+        return;
+      }
+      flush().then(() => callback(), callback);
+    },
+    final(callback) {
+      flush().then(() => callback(), callback);
+    }
+  });
+
+  writer.stats = stats;
+  return writer;
+}
+
+module.exports = {
+  DEFAULT_BATCH_SIZE,
+  getColumnMetadata,
+  isNumericType,
+  isDateType,
+  columnDefinition,
+  toSqlType,
+  createBulkWriter
+};
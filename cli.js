@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { detectFileType } = require('./fileReader');
+const { loadSchemas } = require('./tableManager');
+const { tableNameFromFile, inferTableSchema, writeProposal } = require('./schemaInference');
+const { checkDrift } = require('./schemaDrift');
+const { runMigrations } = require('./migrations');
+const { sheetFileName } = require('./workbook');
+
+// Command line tools
+const USAGE = [
+  'Usage:',
+  '  node cli.js infer-schema <sample file> [TABLE_NAME] [--rows N] [--sheet NAME]',
+  '  node cli.js drift [--connection NAME] [--table TABLE_NAME] [--script out.sql]',
+  '  node cli.js migrate [--connection NAME] [--table TABLE_NAME] [--dry-run] [--force]'
+].join('\n');
+
+// Options that take no value
+const BOOLEAN_FLAGS = ['dry-run', 'force'];
+
+// Connections from config.json: the named one, or all enabled ones
+function loadConnections(name) {
+  const config = JSON.parse(fs.readFileSync('./config.json', 'utf8'));
+  const connections = (config.connections || []).filter(conn => (name ? conn.name === name : conn.enabled));
+
+  if (connections.length === 0) {
+    throw new Error(name ? `No connection named ${name} in config.json` : 'No enabled connections in config.json');
+  }
+  return connections;
+}
+
+// Split arguments into positionals and --name value options
+// (BOOLEAN_FLAGS are set to true)
+function parseArgs(args) {
+  const positional = [];
+  const flags = {};
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      const name = args[i].substring(2);
+      if (BOOLEAN_FLAGS.includes(name)) {
+        flags[name] = true;
+        continue;
+      }
+      flags[name] = args[i + 1];
+      i++;
+    } else {
+      positional.push(args[i]);
+    }
+  }
+
+  return { positional, flags };
+}
+
+// Infer a tableSchemas.json entry from a sample file and write it for review
+async function inferSchemaCommand(positional, flags) {
+  const [filePath, tableArg] = positional;
+  if (!filePath) {
+    throw new Error(USAGE);
+  }
+
+  const file = { filePath, fileType: detectFileType(filePath), sheet: flags.sheet || null };
+  const tableName = tableArg || tableNameFromFile(filePath);
+  const existing = loadSchemas()[tableName] || null;
+
+  const result = await inferTableSchema(file, tableName, existing, { maxRows: parseInt(flags.rows) || undefined });
+
+  console.log(`Sampled ${result.rowsSampled} rows from ${sheetFileName(path.basename(filePath), file.sheet)}`);
+  result.columns.forEach(col => {
+    console.log(`  ${col.column.padEnd(30)} ${col.type.padEnd(16)} (${col.filled} filled, ${col.empty} empty, max length ${col.maxLength})`);
+  });
+  console.log(`Primary key: ${result.entry.primaryKey.length > 0 ? result.entry.primaryKey.join(', ') : '(none proposed)'}`);
+  if (result.keyCandidates.length > 0) {
+    console.log(`Unique in sample: ${result.keyCandidates.map(key => key.join(' + ')).join(', ')}`);
+  }
+  if (existing) {
+    console.log(`${tableName} is already in tableSchemas.json: its writeMode, scope, detection, ... are kept`);
+  }
+
+  const proposalPath = writeProposal(tableName, result.entry);
+  console.log(`✓ Proposed entry written to ${proposalPath}. Review it, then copy it into tableSchemas.json.`);
+}
+
+// Report differences between tableSchemas.json and the live databases,
+// optionally writing the reconcile script
+async function driftCommand(positional, flags) {
+  const drift = await checkDrift(loadConnections(flags.connection), { table: flags.table });
+
+  drift.connections.forEach(result => {
+    console.log(`${result.connection} (${result.database})`);
+    result.tables.forEach(table => {
+      console.log(`  ${table.table}: ${table.status}`);
+      table.differences.forEach(diff => {
+        const expected = [].concat(diff.expected || '-').join(', ');
+        const actual = [].concat(diff.actual || '-').join(', ');
+        console.log(`    ${diff.type} ${diff.name}: expected ${expected}, found ${actual}`);
+      });
+    });
+  });
+  drift.errors.forEach(err => console.error(`✗ ${err.connection}: ${err.error}`));
+
+  if (flags.script) {
+    fs.writeFileSync(flags.script, drift.script);
+    console.log(`✓ Reconcile script written to ${flags.script}. Review it before running it.`);
+  }
+
+  if (drift.errors.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+// Bring the live tables up to tableSchemas.json, recording each version in
+// SCHEMA_MIGRATIONS. --dry-run only prints the SQL; --force applies
+// narrowing type changes too.
+async function migrateCommand(positional, flags) {
+  const migration = await runMigrations(loadConnections(flags.connection), {
+    table: flags.table,
+    dryRun: flags['dry-run'],
+    force: flags.force,
+    userName: os.userInfo().username
+  });
+
+  if (flags['dry-run']) {
+    console.log(migration.script);
+  } else {
+    migration.connections.forEach(result => {
+      console.log(`${result.connection} (${result.database})`);
+      result.tables
+        .filter(plan => plan.status !== 'notDeclared')
+        .forEach(plan => console.log(`  ${plan.table}: ${plan.status}, version ${plan.toVersion}`));
+    });
+  }
+  migration.errors.forEach(err => console.error(`✗ ${err.connection}: ${err.error}`));
+
+  if (migration.errors.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+const COMMANDS = {
+  'infer-schema': inferSchemaCommand,
+  drift: driftCommand,
+  migrate: migrateCommand
+};
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const run = COMMANDS[command];
+
+  if (!run) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const { positional, flags } = parseArgs(args);
+  await run(positional, flags);
+}
+
+main().catch(err => {
+  console.error(`✗ ${err.message}`);
+  process.exit(1);
+});
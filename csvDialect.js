@@ -0,0 +1,249 @@
+const fs = require('fs');
+const iconv = require('iconv-lite');
+
+// Bytes read from the start of a CSV file to detect its dialect
+const SAMPLE_BYTES = 64 * 1024;
+
+// Records compared when detecting the delimiter and header row
+const SAMPLE_RECORDS = 50;
+
+const DELIMITERS = [',', ';', '\t', '|'];
+const ENCODINGS = ['utf-8', 'utf-16le', 'utf-16be', 'windows-1252'];
+
+// Byte order marks, longest first
+const BOMS = [
+  { encoding: 'utf-8', bytes: [0xEF, 0xBB, 0xBF] },
+  { encoding: 'utf-16le', bytes: [0xFF, 0xFE] },
+  { encoding: 'utf-16be', bytes: [0xFE, 0xFF] }
+];
+
+// Dialect settings that can be overridden per table
+// (tableSchemas.json -> csv: { encoding, delimiter, quote, skipLines })
+const DIALECT_KEYS = ['encoding', 'delimiter', 'quote', 'skipLines'];
+
+// Read up to size bytes from the start of a file
+function readSample(filePath, size = SAMPLE_BYTES) {
+  const buffer = Buffer.alloc(size);
+  const fd = fs.openSync(filePath, 'r');
+  const bytesRead = fs.readSync(fd, buffer, 0, size, 0);
+  fs.closeSync(fd);
+  return buffer.subarray(0, bytesRead);
+}
+
+// Check if bytes are valid UTF-8 (a sequence cut off at the end is allowed)
+function isUtf8(buffer) {
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: true });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Encoding of a sample: { encoding, bom }. Without a BOM, UTF-16 is
+// recognised by the zero byte next to each ASCII character, and text that
+// is not valid UTF-8 is taken as Windows-1252.
+function detectEncoding(buffer) {
+  const bom = BOMS.find(mark => mark.bytes.every((byte, i) => buffer[i] === byte));
+  if (bom) {
+    return { encoding: bom.encoding, bom: true };
+  }
+
+  const pairs = Math.floor(buffer.length / 2);
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < pairs * 2; i += 2) {
+    if (buffer[i] === 0) evenZeros++;
+    if (buffer[i + 1] === 0) oddZeros++;
+  }
+  if (pairs > 0 && oddZeros > pairs / 3 && evenZeros === 0) {
+    return { encoding: 'utf-16le', bom: false };
+  }
+  if (pairs > 0 && evenZeros > pairs / 3 && oddZeros === 0) {
+    return { encoding: 'utf-16be', bom: false };
+  }
+
+  return { encoding: isUtf8(buffer) ? 'utf-8' : 'windows-1252', bom: false };
+}
+
+// Check if a sample is text in the given encoding (no control characters
+// other than tab and line breaks)
+function isText(buffer, encoding) {
+  const text = iconv.decode(buffer, encoding);
+  return text.length > 0 && !/[\x00-\x08\x0B\x0E-\x1F\x7F]/.test(text);
+}
+
+// Split decoded text into records on line breaks outside quotes.
+// The last record is dropped when the sample was cut off.
+function splitRecords(text, quote, truncated) {
+  const records = [];
+  let inQuotes = false;
+  let start = 0;
+
+  for (let i = 0; i < text.length && records.length < SAMPLE_RECORDS; i++) {
+    const ch = text[i];
+    if (ch === quote) {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && (ch === '\n' || ch === '\r')) {
+      records.push(text.substring(start, i));
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      start = i + 1;
+    }
+  }
+
+  if (records.length < SAMPLE_RECORDS && start < text.length && !truncated) {
+    records.push(text.substring(start));
+  }
+  return records;
+}
+
+// Number of fields in a record for a delimiter (delimiters inside quotes
+// do not count)
+function countFields(record, delimiter, quote) {
+  let inQuotes = false;
+  let fields = 1;
+  for (const ch of record) {
+    if (ch === quote) inQuotes = !inQuotes;
+    else if (ch === delimiter && !inQuotes) fields++;
+  }
+  return fields;
+}
+
+// Quote character: the one that opens fields more often (default ")
+function detectQuote(text) {
+  const opens = quote => {
+    const pattern = new RegExp(`(^|[\\n\\r${DELIMITERS.join('')}])${quote}`, 'g');
+    return (text.match(pattern) || []).length;
+  };
+  return opens("'") > opens('"') ? "'" : '"';
+}
+
+// Most common field count among records: { fields, records }
+function modalFieldCount(records, delimiter, quote) {
+  const counts = {};
+  records
+    .filter(record => record.trim() !== '')
+    .forEach(record => {
+      const fields = countFields(record, delimiter, quote);
+      counts[fields] = (counts[fields] || 0) + 1;
+    });
+
+  return Object.entries(counts)
+    .map(([fields, count]) => ({ fields: Number(fields), records: count }))
+    .sort((a, b) => b.records - a.records || b.fields - a.fields)[0] || { fields: 1, records: 0 };
+}
+
+// Delimiter giving the same number of fields (more than one) on the most
+// records; comma when no candidate splits the records
+function detectDelimiter(records, quote) {
+  let best = { delimiter: ',', fields: 1, records: 0 };
+
+  DELIMITERS.forEach(delimiter => {
+    const mode = modalFieldCount(records, delimiter, quote);
+    if (mode.fields < 2) return;
+    if (mode.records > best.records || (mode.records === best.records && mode.fields > best.fields)) {
+      best = { delimiter, ...mode };
+    }
+  });
+
+  return best;
+}
+
+// Encoding of a text file from its first SAMPLE_BYTES: { encoding, bom }
+function detectFileEncoding(filePath) {
+  return detectEncoding(readSample(filePath));
+}
+
+// Decoded text from the start of a file (BOM removed)
+function readTextSample(filePath, size = SAMPLE_BYTES) {
+  const sample = readSample(filePath, size);
+  return iconv.decode(sample, detectEncoding(sample).encoding);
+}
+
+// Check if a file looks like delimited text in any supported encoding
+function isTextFile(filePath) {
+  const sample = readSample(filePath, 4096);
+  if (sample.length === 0) return false;
+
+  const { encoding } = detectEncoding(sample);
+  return isText(sample, encoding);
+}
+
+// Detect the dialect of a CSV file from its first SAMPLE_BYTES:
+// { encoding, bom, delimiter, quote, skipLines }
+// skipLines is the number of lines above the header row (report titles,
+// blank lines): the header is the first record with at least the usual
+// field count. When data rows end with a delimiter, a header without the
+// trailing empty field counts as having the usual field count.
+function detectDialect(filePath) {
+  const sample = readSample(filePath);
+  const { encoding, bom } = detectEncoding(sample);
+  const text = iconv.decode(sample, encoding);
+
+  const quote = detectQuote(text);
+  const records = splitRecords(text, quote, sample.length === SAMPLE_BYTES);
+  const { delimiter, fields } = detectDelimiter(records, quote);
+
+  const usual = records.filter(record => countFields(record, delimiter, quote) === fields);
+  const trailingEmpty = usual.filter(record => record.endsWith(delimiter)).length > usual.length / 2;
+  const minFields = trailingEmpty ? fields - 1 : fields;
+
+  const headerIndex = records.findIndex(record => record.trim() !== '' && countFields(record, delimiter, quote) >= minFields);
+
+  return { encoding, bom, delimiter, quote, skipLines: Math.max(0, headerIndex) };
+}
+
+// Apply a table's csv overrides from tableSchemas.json to a detected dialect
+function resolveDialect(detected, overrides) {
+  const dialect = { ...detected };
+  if (!overrides) return dialect;
+
+  DIALECT_KEYS
+    .filter(key => overrides[key] !== undefined)
+    .forEach(key => { dialect[key] = overrides[key]; });
+
+  if (!iconv.encodingExists(dialect.encoding)) {
+    throw new Error(`Unknown CSV encoding "${dialect.encoding}" (expected e.g. ${ENCODINGS.join(', ')})`);
+  }
+  return dialect;
+}
+
+// One-line description for logs, e.g.
+// "windows-1252, delimiter ';', quote '"', 2 line(s) above the header skipped"
+function describeDialect(dialect) {
+  const delimiter = dialect.delimiter === '\t' ? 'tab' : `'${dialect.delimiter}'`;
+  const parts = [
+    `${dialect.encoding}${dialect.bom ? ' (BOM)' : ''}`,
+    `delimiter ${delimiter}`,
+    `quote '${dialect.quote}'`
+  ];
+  if (dialect.skipLines > 0) parts.push(`${dialect.skipLines} line(s) above the header skipped`);
+  return parts.join(', ');
+}
+
+// Stream decoding a file's bytes into text (BOM removed), for csv-parser
+// or any reader given { encoding }
+function createDecoder(dialect) {
+  return iconv.decodeStream(dialect.encoding);
+}
+
+// csv-parser options for a dialect
+function parserOptions(dialect) {
+  return {
+    separator: dialect.delimiter,
+    quote: dialect.quote,
+    escape: dialect.quote,
+    skipLines: dialect.skipLines || null
+  };
+}
+
+module.exports = {
+  detectFileEncoding,
+  readTextSample,
+  isTextFile,
+  detectDialect,
+  resolveDialect,
+  describeDialect,
+  createDecoder,
+  parserOptions
+};
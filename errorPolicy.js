@@ -0,0 +1,91 @@
+// Row-error policies (tableSchemas.json -> errorPolicy, or per request):
+//   "strict"                       any failed row rolls the load back
+//   { "mode": "threshold",
+//     "maxErrors": 10,             roll back above 10 failed rows
+//     "maxErrorPercent": 1 }       and/or above 1% failed rows
+//   "lenient"                      commit whatever loaded (default for direct loads;
+//                                  staged loads default to strict)
+const POLICY_MODES = ['strict', 'threshold', 'lenient'];
+
+// A threshold limit as a number (null when not set). A value that is not a
+// non-negative number throws: NaN would never trip the threshold.
+function thresholdLimit(policy, key, integer) {
+  const value = policy[key];
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+
+  const limit = typeof value === 'string' ? Number(value) : value;
+  if (typeof limit !== 'number' || !Number.isFinite(limit) || limit < 0 || (integer && !Number.isInteger(limit))) {
+    throw new Error(`errorPolicy ${key} must be a non-negative ${integer ? 'whole ' : ''}number, got "${value}"`);
+  }
+  return limit;
+}
+
+// Normalize a policy given as a string or object
+function normalizePolicy(policy) {
+  if (!policy) return null;
+
+  const normalized = typeof policy === 'string' ? { mode: policy } : { ...policy };
+  normalized.mode = normalized.mode || 'threshold';
+
+  if (!POLICY_MODES.includes(normalized.mode)) {
+    throw new Error(`Unknown errorPolicy "${normalized.mode}" (expected ${POLICY_MODES.join(', ')})`);
+  }
+
+  if (normalized.mode === 'threshold') {
+    normalized.maxErrors = thresholdLimit(normalized, 'maxErrors', true);
+    normalized.maxErrorPercent = thresholdLimit(normalized, 'maxErrorPercent', false);
+
+    if (normalized.maxErrors === null && normalized.maxErrorPercent === null) {
+      throw new Error('errorPolicy threshold needs maxErrors and/or maxErrorPercent');
+    }
+  }
+
+  return normalized;
+}
+
+// Resolve the policy for a load: request override, then table, then fallback
+function resolveErrorPolicy(schema, override, fallbackMode = 'lenient') {
+  return normalizePolicy(override) ||
+    normalizePolicy(schema && schema.errorPolicy) ||
+    { mode: fallbackMode };
+}
+
+// Describe a policy for logs
+function describePolicy(policy) {
+  if (policy.mode !== 'threshold') return policy.mode;
+
+  const limits = [];
+  if (policy.maxErrors !== null) limits.push(`${policy.maxErrors} rows`);
+  if (policy.maxErrorPercent !== null) limits.push(`${policy.maxErrorPercent}%`);
+  return `threshold (max ${limits.join(' / ')})`;
+}
+
+// Check load results against the policy.
+// Returns null when the load may be committed, otherwise the reason.
+function checkErrorPolicy(policy, errorCount, rowCount) {
+  if (errorCount === 0 || policy.mode === 'lenient') {
+    return null;
+  }
+
+  if (policy.mode === 'strict') {
+    return `errorPolicy strict: ${errorCount} of ${rowCount} rows failed`;
+  }
+
+  if (policy.maxErrors !== null && errorCount > policy.maxErrors) {
+    return `errorPolicy threshold: ${errorCount} failed rows exceeds maximum ${policy.maxErrors}`;
+  }
+
+  const percent = rowCount > 0 ? (errorCount / rowCount) * 100 : 100;
+  if (policy.maxErrorPercent !== null && percent > policy.maxErrorPercent) {
+    return `errorPolicy threshold: ${percent.toFixed(2)}% failed rows exceeds maximum ${policy.maxErrorPercent}%`;
+  }
+
+  return null;
+}
+
+module.exports = {
+  POLICY_MODES,
+  resolveErrorPolicy,
+  describePolicy,
+  checkErrorPolicy
+};
@@ -0,0 +1,364 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const readline = require('readline');
+const { Readable, pipeline } = require('stream');
+const csv = require('csv-parser');
+const xlsx = require('xlsx');
+const iconv = require('iconv-lite');
+const {
+  isTextFile,
+  readTextSample,
+  detectFileEncoding,
+  detectDialect,
+  createDecoder,
+  parserOptions
+} = require('./csvDialect');
+const { excelSerialDate, numberText } = require('./valueParser');
+
+// File extensions the file watcher picks up and the web form accepts
+// (fixed-width text comes as .txt, .dat or .prn)
+const SUPPORTED_EXTENSIONS = ['.csv', '.xlsx', '.xls', '.json', '.ndjson', '.jsonl', '.txt', '.dat', '.prn', '.zip'];
+
+// File types read with the xlsx library: workbooks with one or more sheets
+const WORKBOOK_TYPES = ['xlsx', 'xls'];
+
+// Legacy XLS (BIFF inside an OLE2 compound file): D0 CF 11 E0 A1 B1 1A E1
+const OLE2_SIGNATURE = [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1];
+
+// Check if a file type is a workbook (has sheets)
+function isWorkbook(fileType) {
+  return WORKBOOK_TYPES.includes(fileType);
+}
+
+// Check if a ZIP file is an XLSX workbook: the central directory at the end
+// of the file lists xl/workbook.xml
+function isXlsxArchive(filePath) {
+  const size = fs.statSync(filePath).size;
+  const length = Math.min(size, 64 * 1024);
+  const buffer = Buffer.alloc(length);
+  const fd = fs.openSync(filePath, 'r');
+  fs.readSync(fd, buffer, 0, length, size - length);
+  fs.closeSync(fd);
+
+  return buffer.toString('latin1').includes('xl/workbook.');
+}
+
+// JSON flavour of a text file: ndjson when the first line is a complete
+// record and more lines follow, json when it starts with [ or {, else null
+function jsonFileType(filePath) {
+  const text = readTextSample(filePath).trim();
+  if (text.startsWith('[')) return 'json';
+  if (!text.startsWith('{')) return null;
+
+  const [firstLine, ...otherLines] = text.split(/\r?\n/);
+  try {
+    JSON.parse(firstLine);
+    return otherLines.some(line => line.trim() !== '') ? 'ndjson' : 'json';
+  } catch (err) {
+    return 'json';
+  }
+}
+
+// Detect file type by magic bytes (file signature): xlsx, zip, xls, json,
+// ndjson, csv or unknown. Fixed-width text is reported as csv; tables with
+// a fixedWidth layout claim it by file name (see workbook.js).
+function detectFileType(filePath) {
+  const buffer = Buffer.alloc(100);
+  const fd = fs.openSync(filePath, 'r');
+  const bytesRead = fs.readSync(fd, buffer, 0, 100, 0);
+  fs.closeSync(fd);
+
+  // XLSX/ZIP signature: 50 4B 03 04 (PK..)
+  if (buffer[0] === 0x50 && buffer[1] === 0x4B && buffer[2] === 0x03 && buffer[3] === 0x04) {
+    return isXlsxArchive(filePath) ? 'xlsx' : 'zip';
+  }
+
+  if (bytesRead >= OLE2_SIGNATURE.length && OLE2_SIGNATURE.every((byte, i) => buffer[i] === byte)) {
+    return 'xls';
+  }
+
+  // CSV is plain text, no specific signature
+  // Check if it's readable text (UTF-8/UTF-16 with or without BOM, or Windows-1252)
+  if (bytesRead > 0 && isTextFile(filePath)) {
+    return jsonFileType(filePath) || 'csv';
+  }
+
+  return 'unknown';
+}
+
+// Value of a worksheet cell as stored, not as displayed: number formats
+// (#,##0 shows 1500 as "1,500", m/d/yy shows dates as "11/25/24", General
+// shows long numbers as 8.99123E+15) would otherwise have to be parsed
+// back. Numbers come back as numbers, date-formatted numbers as ISO dates
+// (with the time when there is one), zero-padded codes (format 00000) as
+// their padded digits, everything else as text.
+function cellValue(cell) {
+  if (!cell || cell.v === undefined || cell.v === null) return '';
+
+  if (cell.t === 'n') {
+    if (cell.z && /^0{2,}$/.test(cell.z) && Number.isInteger(cell.v) && cell.v >= 0) {
+      return numberText(cell.v).padStart(cell.z.length, '0');
+    }
+    const isDate = cell.z && xlsx.SSF.is_date(cell.z);
+    return (isDate && excelSerialDate(cell.v)) || cell.v;
+  }
+  if (cell.t === 'e') return cell.w || '';
+  return cell.v.toString();
+}
+
+// Yield worksheet rows one at a time as { header: value } objects
+// (same shape as sheet_to_json with raw: true, defval: '')
+function* sheetRows(worksheet) {
+  if (!worksheet || !worksheet['!ref']) return;
+
+  const range = xlsx.utils.decode_range(worksheet['!ref']);
+  const valueAt = (r, c) => cellValue(worksheet[xlsx.utils.encode_cell({ r, c })]);
+
+  // Header row, de-duplicated the same way as sheet_to_json
+  const headers = [];
+  const seen = {};
+  for (let c = range.s.c; c <= range.e.c; c++) {
+    let header = valueAt(range.s.r, c).toString() || '__EMPTY';
+    if (seen[header] !== undefined) {
+      seen[header]++;
+      header = `${header}_${seen[header]}`;
+    } else {
+      seen[header] = 0;
+    }
+    headers.push(header);
+  }
+
+  for (let r = range.s.r + 1; r <= range.e.r; r++) {
+    const row = {};
+    let blank = true;
+
+    for (let c = range.s.c; c <= range.e.c; c++) {
+      const value = valueAt(r, c);
+      if (value !== '') blank = false;
+      row[headers[c - range.s.c]] = value;
+    }
+
+    if (!blank) yield row;
+  }
+}
+
+// Parse a whole XLSX or XLS workbook, keeping number formats to tell dates
+// from numbers (see cellValue). The xlsx library can only read workbooks
+// whole, so a job parses its file once and passes the result to every
+// pass over it (table detection, scan, each connection's load) as
+// options.workbook.
+function readWorkbook(filePath, sheets) {
+  const options = { type: 'buffer', cellNF: true };
+  if (sheets !== undefined) options.sheets = sheets;
+  return xlsx.read(fs.readFileSync(filePath), options);
+}
+
+// Rows of one sheet of an XLSX or XLS workbook (options.sheet, default the
+// first), from options.workbook when the caller has parsed it already.
+// Rows are produced one at a time.
+function workbookRows(filePath, options) {
+  const sheetName = options.sheet || null;
+  // Without a parsed workbook only the requested sheet is parsed
+  const workbook = options.workbook || readWorkbook(filePath, sheetName || 0);
+
+  if (!workbook.SheetNames || workbook.SheetNames.length === 0) {
+    throw new Error('Workbook has no sheets');
+  }
+
+  const name = sheetName || workbook.SheetNames[0];
+  if (!workbook.SheetNames.includes(name)) {
+    throw new Error(`Workbook has no sheet named ${name}`);
+  }
+  return Readable.from(sheetRows(workbook.Sheets[name]));
+}
+
+// Rows of a delimited text file (options.dialect, default detected),
+// parsed incrementally
+function csvRows(filePath, options) {
+  const dialect = options.dialect || detectDialect(filePath);
+  const parser = csv(parserOptions(dialect));
+  // pipeline forwards read errors to the parser and cleans up on early exit
+  pipeline(fs.createReadStream(filePath), createDecoder(dialect), parser, () => {});
+  return parser;
+}
+
+// Flatten a JSON record into { column: text } like a CSV row: nested
+// objects become "parent.child" columns, arrays are kept as JSON text
+function flattenRecord(record, prefix = '', row = {}) {
+  Object.entries(record).forEach(([key, value]) => {
+    const column = prefix + key;
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+      flattenRecord(value, `${column}.`, row);
+    } else if (Array.isArray(value)) {
+      row[column] = JSON.stringify(value);
+    } else {
+      row[column] = value === null || value === undefined ? '' : value.toString();
+    }
+  });
+  return row;
+}
+
+// Records in a parsed JSON document: a top-level array, the first array
+// property of an object (e.g. { "data": [...] }), or the object itself
+function jsonRecords(document) {
+  if (Array.isArray(document)) return document;
+
+  if (document !== null && typeof document === 'object') {
+    const list = Object.values(document).find(Array.isArray);
+    return list || [document];
+  }
+  throw new Error('JSON file holds no records');
+}
+
+// Rows of a JSON file. The document is parsed whole; use NDJSON for large
+// exports.
+function jsonRows(filePath) {
+  const { encoding } = detectFileEncoding(filePath);
+  const document = JSON.parse(iconv.decode(fs.readFileSync(filePath), encoding));
+
+  return Readable.from(jsonRecords(document)
+    .filter(record => record !== null && typeof record === 'object')
+    .map(record => flattenRecord(record)));
+}
+
+// Lines of a text file in its encoding, read incrementally. The file is
+// closed when the caller stops early.
+async function* textLines(filePath, encoding) {
+  const source = fs.createReadStream(filePath);
+  const decoder = createDecoder({ encoding });
+  pipeline(source, decoder, () => {});
+
+  try {
+    yield* readline.createInterface({ input: decoder, crlfDelay: Infinity });
+  } finally {
+    source.destroy();
+  }
+}
+
+// Rows of an NDJSON file (one JSON record per line)
+async function* ndjsonRecords(filePath) {
+  const { encoding } = detectFileEncoding(filePath);
+  let lineNumber = 0;
+
+  for await (const line of textLines(filePath, encoding)) {
+    lineNumber++;
+    if (line.trim() === '') continue;
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (err) {
+      throw new Error(`Invalid JSON on line ${lineNumber}: ${err.message}`);
+    }
+    yield flattenRecord(record);
+  }
+}
+
+// Stream of NDJSON rows
+function ndjsonRows(filePath) {
+  return Readable.from(ndjsonRecords(filePath));
+}
+
+// Rows of a fixed-width text file, cut by options.layout (a table's
+// "fixedWidth" in tableSchemas.json):
+//   { columns: [{ name, start, length }], skipLines, encoding }
+// start is the 1-based character position. Values are trimmed; blank lines
+// are skipped.
+async function* fixedWidthRecords(filePath, layout) {
+  const encoding = layout.encoding || detectFileEncoding(filePath).encoding;
+  let lineNumber = 0;
+
+  for await (const line of textLines(filePath, encoding)) {
+    lineNumber++;
+    if (lineNumber <= (layout.skipLines || 0) || line.trim() === '') continue;
+
+    const row = {};
+    layout.columns.forEach(col => {
+      row[col.name] = line.substr(col.start - 1, col.length).trim();
+    });
+    yield row;
+  }
+}
+
+// Stream of fixed-width rows, after checking the layout
+function fixedWidthRows(filePath, options) {
+  const layout = options.layout;
+  if (!layout || !Array.isArray(layout.columns) || layout.columns.length === 0) {
+    throw new Error('Fixed-width file needs a fixedWidth layout with columns');
+  }
+
+  const invalid = layout.columns.filter(col => !col.name || !(col.start >= 1) || !(col.length >= 1));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid fixedWidth column(s): ${invalid.map(col => JSON.stringify(col)).join(', ')} (each needs name, start >= 1 and length >= 1)`);
+  }
+
+  return Readable.from(fixedWidthRecords(filePath, layout));
+}
+
+// Row readers per file type. Each returns an object-mode stream of raw rows
+// as { column: text } objects, whatever the source format.
+const ADAPTERS = {
+  csv: csvRows,
+  xlsx: workbookRows,
+  xls: workbookRows,
+  json: jsonRows,
+  ndjson: ndjsonRows,
+  fixedWidth: fixedWidthRows
+};
+
+// Create an object-mode stream of raw rows from a supported file.
+// options: { sheet: workbook sheet name (default the first one),
+//            workbook: the file parsed by readWorkbook (default parsed here),
+//            dialect: CSV dialect (default detected from the file),
+//            layout: fixed-width layout (required for fixedWidth) }
+function createRowStream(filePath, fileType, options = {}) {
+  const adapter = ADAPTERS[fileType];
+  if (!adapter) {
+    throw new Error('Unsupported or corrupted file format');
+  }
+  return adapter(filePath, options);
+}
+
+// Row stream for a file object as passed to the uploader:
+// { filePath, fileType, sheet, workbook, dialect, layout }
+function createFileRowStream(file) {
+  return createRowStream(file.filePath, file.fileType, file);
+}
+
+// Read only the first data row (headers + sample) without loading the file
+async function readFirstRow(filePath, fileType, options = {}) {
+  const stream = createRowStream(filePath, fileType, options);
+
+  for await (const row of stream) {
+    return row;
+  }
+
+  return null;
+}
+
+// SHA-256 of the file content (streamed, not read into memory). With a
+// sheet name the hash identifies that sheet of the workbook, so each sheet
+// of a multi-sheet workbook is its own load fingerprint.
+function hashFile(filePath, sheetName = null) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => {
+        if (sheetName) hash.update(`\0sheet:${sheetName}`);
+        resolve(hash.digest('hex'));
+      })
+      .on('error', reject);
+  });
+}
+
+module.exports = {
+  SUPPORTED_EXTENSIONS,
+  isWorkbook,
+  detectFileType,
+  hashFile,
+  readWorkbook,
+  createRowStream,
+  createFileRowStream,
+  readFirstRow
+};
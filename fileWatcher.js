@@ -1,10 +1,15 @@
 const chokidar = require('chokidar');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
-const sql = require('mssql');
-const csv = require('csv-parser');
-const xlsx = require('xlsx');
-const { ensureTable, mapColumns, parseNumeric, parseDate, getColumnType } = require('./tableManager');
+const { resolveTargets } = require('./router');
+const { SUPPORTED_EXTENSIONS, detectFileType, hashFile } = require('./fileReader');
+const { scanFile, uploadToDatabase, previewUpload } = require('./uploader');
+const { createRejectsWriter } = require('./rejects');
+const { configureQueue, submitJob } = require('./jobQueue');
+const { sheetFileName, resolveLoads } = require('./workbook');
+const { describeDialect } = require('./csvDialect');
+const { expandZip } = require('./archive');
 
 let config;
 
@@ -75,468 +80,286 @@ async function waitForFile(filePath, maxWaitMs = 10000) {
   throw new Error('File is locked or still being written');
 }
 
-// Detect file type by magic bytes (file signature)
-function detectFileType(filePath) {
-  const buffer = Buffer.alloc(4);
-  const fd = fs.openSync(filePath, 'r');
-  fs.readSync(fd, buffer, 0, 4, 0);
-  fs.closeSync(fd);
-
-  // XLSX/ZIP signature: 50 4B 03 04 (PK..)
-  if (buffer[0] === 0x50 && buffer[1] === 0x4B && buffer[2] === 0x03 && buffer[3] === 0x04) {
-    return 'xlsx';
-  }
-  
-  // CSV is plain text, no specific signature
-  // Check if it's readable text
-  const sample = fs.readFileSync(filePath, { encoding: 'utf8', flag: 'r' }).substring(0, 100);
-  if (/^[\x20-\x7E\r\n\t]+/.test(sample)) {
-    return 'csv';
-  }
-
-  return 'unknown';
-}
-
-// Parse file based on actual content
-async function parseFile(filePath) {
-  let data = [];
-
-  // Wait for file to be ready
-  await waitForFile(filePath);
-
-  // Detect actual file type
-  const fileType = detectFileType(filePath);
-  logToFile(`Detected file type: ${fileType}`);
-
+// Move the rejects file (if any rows failed) next to the moved source file
+function moveRejects(rejects, targetDir, fileName) {
   try {
-    if (fileType === 'xlsx') {
-      logToFile(`Parsing XLSX file: ${filePath}`);
-      
-      // Read file as buffer
-      const buffer = fs.readFileSync(filePath);
-      const workbook = xlsx.read(buffer, { type: 'buffer', cellDates: true });
-      
-      if (!workbook.SheetNames || workbook.SheetNames.length === 0) {
-        throw new Error('XLSX file has no sheets');
-      }
-      
-      const sheetName = workbook.SheetNames[0];
-      logToFile(`Reading sheet: ${sheetName}`);
-      const worksheet = workbook.Sheets[sheetName];
-      data = xlsx.utils.sheet_to_json(worksheet, { raw: false, defval: '' });
-      
-    } else if (fileType === 'csv') {
-      logToFile(`Parsing CSV file: ${filePath}`);
-      await new Promise((resolve, reject) => {
-        fs.createReadStream(filePath, { encoding: 'utf8' })
-          .pipe(csv())
-          .on('data', (row) => data.push(row))
-          .on('end', resolve)
-          .on('error', reject);
-      });
-    } else {
-      throw new Error(`Unsupported or corrupted file format`);
+    const rejectsPath = rejects.finish(targetDir, fileName);
+    if (rejectsPath) {
+      logToFile(`${rejects.count} rejected rows written to: ${rejectsPath}`, 'WARN');
     }
   } catch (err) {
-    throw new Error(`Failed to parse file: ${err.message}`);
-  }
-
-  if (data.length === 0) {
-    throw new Error('File is empty or has no data rows');
+    logToFile(`Could not write rejects file: ${err.message}`, 'ERROR');
+    rejects.discard();
   }
-
-  return data;
 }
 
-// Connect to database with retry
-async function connectWithRetry(connConfig, retries = 3) {
-  const sqlConfig = {
-    server: connConfig.server,
-    database: connConfig.database,
-    user: connConfig.username,
-    password: connConfig.password,
-    port: parseInt(connConfig.port) || 1433,
-    options: {
-      encrypt: true,
-      trustServerCertificate: true,
-      enableArithAbort: true
-    }
-  };
+// Dry run: log what the load would do and write the full preview to
+// ./logs/<file>.preview.json. The file stays in the watch folder and is
+// loaded when the watcher restarts with dryRun turned off.
+async function previewFile(file, fileName, tableName, scope, targetConnections) {
+  const previews = [];
+  const fileHash = await hashFile(file.filePath, file.sheet);
+
+  for (const conn of targetConnections) {
+    const preview = await previewUpload(conn, file, tableName, {
+      scope,
+      audit: { fileHash },
+      retries: config.autoUpload.maxRetries,
+      retryDelayMs: config.autoUpload.retryDelayMs,
+      errorPolicy: config.autoUpload.errorPolicy,
+      log: logToFile
+    });
+    previews.push({ database: conn.name, ...preview });
 
-  for (let attempt = 1; attempt <= retries; attempt++) {
-    try {
-      logToFile(`Connecting to ${connConfig.name} (attempt ${attempt}/${retries})...`);
-      const pool = await sql.connect(sqlConfig);
-      logToFile(`Connected to ${connConfig.name} successfully`);
-      return pool;
-    } catch (err) {
-      logToFile(`Connection attempt ${attempt} failed: ${err.message}`, 'ERROR');
-      
-      if (attempt === retries) {
-        throw new Error(`Failed to connect after ${retries} attempts: ${err.message}`);
-      }
-      
-      // Wait before retry
-      await new Promise(resolve => setTimeout(resolve, config.autoUpload.retryDelayMs));
+    if (preview.duplicateOf) {
+      logToFile(`[DRY RUN] ${conn.name}: already loaded as ${preview.duplicateOf.fileName} at ${preview.duplicateOf.loadedAt}`, 'WARN');
+    }
+    if (preview.deleteCount !== null) {
+      logToFile(`[DRY RUN] ${conn.name}: ${preview.deleteCount} existing rows would be deleted (${preview.dateRange})`);
+    }
+    if (preview.schemaChanges.length > 0) {
+      const added = preview.schemaChanges.map(change => `${change.column} ${change.type}`);
+      logToFile(`[DRY RUN] ${conn.name}: columns would be added: ${added.join(', ')}`, 'WARN');
+    } else if (preview.unknownColumns.length > 0 && !preview.schemaViolation) {
+      logToFile(`[DRY RUN] ${conn.name}: unknown columns (skipped): ${preview.unknownColumns.join(', ')}`, 'WARN');
+    }
+    if (preview.schemaViolation) {
+      logToFile(`[DRY RUN] ${conn.name}: load would fail: ${preview.schemaViolation}`, 'ERROR');
+    }
+    if (preview.missingColumns.length > 0) {
+      logToFile(`[DRY RUN] ${conn.name}: table columns missing from file: ${preview.missingColumns.join(', ')}`, 'WARN');
+    }
+    if (preview.policyViolation) {
+      logToFile(`[DRY RUN] ${conn.name}: load would be rolled back: ${preview.policyViolation}`, 'ERROR');
     }
   }
+
+  const previewPath = path.join('./logs', `${fileName}.preview.json`);
+  fs.writeFileSync(previewPath, JSON.stringify({ fileName, tableName, databases: previews }, null, 2));
+  logToFile(`[DRY RUN] Nothing written. Preview saved to: ${previewPath}`, 'SUCCESS');
 }
 
-// Detect table name from filename or data
-function detectTableName(fileName, data) {
-  // Check if filename contains table name hint
-  const lowerFileName = fileName.toLowerCase();
-  
-  if (lowerFileName.includes('accurate') || lowerFileName.includes('invoice')) {
-    return 'SALES_INVOICE_ACCURATE_ONLINE';
-  }
+// Move a file that could not be loaded to the failed folder
+function moveToFailed(filePath, fileName, err, rejects) {
+  logToFile(`Failed to process file: ${err.message}`, 'ERROR');
   
-  if (lowerFileName.includes('snj') || lowerFileName.includes('srp')) {
-    return 'SNJ_SRP_DETAIL';
+  // Move to failed folder, next to (not over) earlier files of the same name
+  const failedPath = uniquePath(config.autoUpload.failedFolder, fileName);
+  fs.renameSync(filePath, failedPath);
+  logToFile(`File moved to failed folder: ${failedPath}`, 'ERROR');
+  if (rejects) {
+    moveRejects(rejects, config.autoUpload.failedFolder, path.basename(failedPath));
   }
-  
-  // Check by column headers
-  if (data.length > 0) {
-    const firstRow = data[0];
-    const columns = Object.keys(firstRow);
-    
-    // Check for Accurate Online columns
-    if (columns.includes('No. Faktur') || columns.includes('Tanggal')) {
-      return 'SALES_INVOICE_ACCURATE_ONLINE';
-    }
-    
-    // Check for SNJ columns
-    if (columns.includes('BILL_NO') || columns.includes('SALES_DATE')) {
-      return 'SNJ_SRP_DETAIL';
-    }
+}
+
+// Record that one load of a watched file is done (err: why it failed).
+// The file is moved once all its loads (one per sheet of a workbook) are
+// done: to failed if any of them failed, otherwise to processed.
+function finishWatchedFile(watched, err) {
+  if (err) watched.errors.push(err.message);
+  watched.remaining--;
+  if (watched.remaining > 0) return;
+
+  if (watched.errors.length > 0) {
+    moveToFailed(watched.filePath, watched.fileName, new Error(watched.errors.join('; ')), null);
+    return;
   }
-  
-  // Default
-  return 'SNJ_SRP_DETAIL';
+
+  const processedPath = uniquePath(config.autoUpload.processedFolder, watched.fileName);
+  fs.renameSync(watched.filePath, processedPath);
+  logToFile(`File moved to processed folder: ${processedPath}`, 'SUCCESS');
 }
 
-// Upload data to database
-async function uploadToDatabase(connConfig, data, fileName) {
-  let pool;
-  
-  try {
-    // Connect with retry
-    pool = await connectWithRetry(connConfig, config.autoUpload.maxRetries);
+// Queued part of a file job: pre-scan, load each target database, then
+// move the rejects file next to where the source file goes
+async function loadFile(job, file, fileName, tableName, targetConnections, watched) {
+  // Failed rows are collected here and moved next to the source at the end
+  const rejects = createRejectsWriter(`${file.filePath}.${file.sheetIndex}.rejects.tmp`);
 
-    // Table name already detected in processFile
-    const tableName = detectTableName(fileName, data);
+  // Log to the daily log file and to the job's live log
+  const log = (message, level = 'INFO') => {
+    logToFile(message, level);
+    job.log(message, level);
+  };
 
-    // Ensure table exists (create if not)
-    const wasCreated = await ensureTable(pool, tableName);
-    if (wasCreated) {
-      logToFile(`Table ${tableName} was created`, 'SUCCESS');
+  try {
+    if (file.dialect) {
+      log(`CSV dialect: ${describeDialect(file.dialect)}`);
     }
 
-    // Get table schema
-    const schemaQuery = `
-      SELECT COLUMN_NAME, DATA_TYPE 
-      FROM INFORMATION_SCHEMA.COLUMNS 
-      WHERE TABLE_NAME = @tableName
-    `;
-    const schemaRequest = pool.request();
-    schemaRequest.input('tableName', sql.NVarChar, tableName);
-    const schemaResult = await schemaRequest.query(schemaQuery);
-    const columnTypes = {};
-    schemaResult.recordset.forEach(col => {
-      columnTypes[col.COLUMN_NAME] = col.DATA_TYPE;
-    });
+    // Pre-scan for row count and date/store scope
+    job.update({ phase: 'scanning', connectionsTotal: targetConnections.length, connectionsDone: 0 });
+    const scope = await scanFile(file, tableName, progress => job.update(progress));
+    log(`Scanned ${scope.rowCount} rows from file`);
+    job.update({ totalRows: scope.rowCount });
 
-    // Normalize column names (replace spaces with underscores)
-    const normalizedData = data.map(row => {
-      const normalizedRow = {};
-      Object.keys(row).forEach(key => {
-        // Replace spaces with underscore, keep alphanumeric and underscore
-        let normalizedKey = key.trim().replace(/\s+/g, '_');
-        // Remove only problematic special chars, keep letters and numbers
-        normalizedKey = normalizedKey.replace(/[^a-zA-Z0-9_]/g, '_');
-        // Remove multiple consecutive underscores
-        normalizedKey = normalizedKey.replace(/_+/g, '_');
-        // Remove leading/trailing underscores
-        normalizedKey = normalizedKey.replace(/^_+|_+$/g, '');
-        
-        normalizedRow[normalizedKey] = row[key];
-      });
-      return normalizedRow;
-    });
+    if (config.autoUpload.dryRun) {
+      job.update({ phase: 'previewing' });
+      await previewFile(file, fileName, tableName, scope, targetConnections);
+      return { success: true, dryRun: true, totalRows: scope.rowCount };
+    }
 
-    // Map CSV columns to SQL columns
-    const mappedData = normalizedData.map(row => mapColumns(row, tableName));
-
-    // Find date range and stores/branches
-    let minDate = null;
-    let maxDate = null;
-    const stores = new Set();
-    
-    mappedData.forEach(row => {
-      // Get date
-      const dateValue = row.SALES_DATE || row.Tanggal;
-      if (dateValue) {
-        const parsedDate = parseDate(dateValue);
-        if (parsedDate) {
-          if (!minDate || parsedDate < minDate) minDate = parsedDate;
-          if (!maxDate || parsedDate > maxDate) maxDate = parsedDate;
-        }
-      }
+    // Upload to target database(s) sequentially
+    const uploadResults = [];
+    const audit = {
+      jobId: job.id,
+      fileName,
+      fileHash: await hashFile(file.filePath, file.sheet),
+      source: 'watcher',
+      userName: config.autoUpload.userName || os.userInfo().username
+    };
+    for (const conn of targetConnections) {
+      log(`Uploading to ${conn.name}...`);
+      job.update({
+        phase: 'loading',
+        connection: conn.name,
+        batch: 0,
+        rowsProcessed: 0,
+        successCount: 0,
+        errorCount: 0,
+        deletedCount: 0
+      });
       
-      // Get store/branch identifier
-      if (tableName === 'SNJ_SRP_DETAIL' && row.ORG_CODE_NAME) {
-        stores.add(row.ORG_CODE_NAME);
-      } else if (tableName === 'SALES_INVOICE_ACCURATE_ONLINE' && row.Gudang) {
-        stores.add(row.Gudang);
-      }
-    });
+      try {
+        // Write mode (append/replaceScope/upsert/...) and error policy come from
+        // tableSchemas.json; a policy that is broken throws and fails the file
+        const result = await uploadToDatabase(conn, file, tableName, {
+          scope,
+          retries: config.autoUpload.maxRetries,
+          retryDelayMs: config.autoUpload.retryDelayMs,
+          batchSize: config.bulkInsert && config.bulkInsert.batchSize,
+          errorPolicy: config.autoUpload.errorPolicy,
+          duplicates: config.autoUpload.duplicates || 'skip',
+          rejects,
+          onProgress: progress => job.update(progress),
+          log,
+          audit
+        });
+        uploadResults.push({ database: conn.name, ...result });
+        job.update({ connectionsDone: uploadResults.length });
+
+        if (result.skipped) continue;
 
-    const storeList = Array.from(stores);
-    logToFile(`Date range: ${minDate || 'N/A'} to ${maxDate || 'N/A'}`);
-    logToFile(`Stores/Branches: ${storeList.length > 0 ? storeList.join(', ') : 'N/A'}`);
-
-    // Start transaction
-    const transaction = new sql.Transaction(pool);
-    await transaction.begin();
-
-    try {
-      // TEMPORARY: Skip delete, insert only
-      logToFile(`TEMPORARY MODE: Insert only, no delete`, 'INFO');
-
-      // Insert new data
-      let successCount = 0;
-      let errorCount = 0;
-
-      // Log first row structure for debugging
-      if (mappedData.length > 0) {
-        const firstRow = mappedData[0];
-        const firstRowColumns = Object.keys(firstRow);
-        logToFile(`First row has ${firstRowColumns.length} columns`, 'INFO');
-        logToFile(`Column names: ${firstRowColumns.join(', ')}`, 'INFO');
-        
-        // Check for problematic column names
-        const emptyColumns = firstRowColumns.filter(col => !col || col.trim() === '');
-        if (emptyColumns.length > 0) {
-          logToFile(`WARNING: Found ${emptyColumns.length} empty column names!`, 'WARN');
-        }
+        const storeInfo = result.stores && result.stores.length > 0 ? ` (${result.stores.join(', ')})` : '';
+        log(`✓ ${conn.name}: ${result.successCount} rows inserted${storeInfo}`, 'SUCCESS');
+      } catch (err) {
+        log(`✗ ${conn.name} failed: ${err.message}`, 'ERROR');
+        throw new Error(`Upload to ${conn.name} failed after ${config.autoUpload.maxRetries} retries: ${err.message}`);
       }
+    }
 
-      for (let i = 0; i < mappedData.length; i++) {
-        const row = mappedData[i];
-        
-        try {
-          const columns = Object.keys(row);
-          const values = Object.values(row);
-
-          // Filter out empty columns (columns with no name)
-          const validColumns = [];
-          const validValues = [];
-          
-          columns.forEach((col, idx) => {
-            if (col && col.trim() !== '') {
-              validColumns.push(col);
-              validValues.push(values[idx]);
-            }
-          });
-
-          // Skip row if no valid columns
-          if (validColumns.length === 0) {
-            logToFile(`Row ${i + 1}: Skipped (no valid columns)`, 'WARN');
-            continue;
-          }
-
-          const columnNames = validColumns.map(col => `[${col}]`).join(', ');
-          const placeholders = validColumns.map((_, idx) => `@param${idx}`).join(', ');
-          
-          const query = `INSERT INTO [${tableName}] (${columnNames}) VALUES (${placeholders})`;
-          const request = new sql.Request(transaction);
-          
-          // Debug logging for problematic rows
-          if (i >= 1554 && i <= 1556) {
-            logToFile(`DEBUG Row ${i+1} Columns: ${validColumns.length} - ${JSON.stringify(validColumns)}`, 'DEBUG');
-            logToFile(`DEBUG Row ${i+1} Query: ${query}`, 'DEBUG');
-          }
-          
-          validColumns.forEach((col, idx) => {
-            let value = validValues[idx];
-            const colType = getColumnType(tableName, col);
-            const sqlType = columnTypes[col];
-            
-            // Debug logging for problematic rows
-            if (i >= 1554 && i <= 1556) {
-              logToFile(`DEBUG Row ${i+1} Col[${idx}] "${col}": "${value}" (type: ${typeof value})`, 'DEBUG');
-            }
-            
-            // Handle null/undefined/empty values more robustly
-            if (value === null || value === undefined || value === '' || 
-                (typeof value === 'string' && value.trim() === '')) {
-              if (colType === 'numeric') {
-                request.input(`param${idx}`, sql.Numeric, null);
-              } else if (colType === 'date') {
-                request.input(`param${idx}`, sql.Date, null);
-              } else {
-                request.input(`param${idx}`, sql.NVarChar, null);
-              }
-              return;
-            }
-            
-            // Handle by column type from schema
-            try {
-              if (colType === 'numeric') {
-                const numValue = parseNumeric(value);
-                request.input(`param${idx}`, sql.Numeric, numValue);
-              } else if (colType === 'date') {
-                const dateValue = parseDate(value);
-                request.input(`param${idx}`, sql.Date, dateValue);
-              } else if (sqlType && (sqlType.includes('int') || sqlType.includes('numeric') || sqlType.includes('decimal') || sqlType.includes('float'))) {
-                // Fallback: check SQL type
-                const numValue = parseNumeric(value);
-                request.input(`param${idx}`, sql.Numeric, numValue);
-              } else {
-                // String column
-                let stringValue = value.toString();
-                
-                // Handle scientific notation for string columns
-                if (typeof value === 'number' || /[eE][+-]?\d+/.test(stringValue)) {
-                  const num = Number(value);
-                  if (!isNaN(num)) {
-                    stringValue = num.toFixed(0);
-                  }
-                }
-                
-                // Limit string length to prevent overflow
-                if (stringValue.length > 4000) {
-                  stringValue = stringValue.substring(0, 4000);
-                }
-                
-                request.input(`param${idx}`, sql.NVarChar, stringValue);
-              }
-            } catch (paramErr) {
-              // Fallback: treat as string if type conversion fails
-              logToFile(`Warning: Failed to convert column ${col}, using string fallback`, 'WARN');
-              request.input(`param${idx}`, sql.NVarChar, value ? value.toString() : null);
-            }
-          });
-
-          await request.query(query);
-          successCount++;
-        } catch (err) {
-          errorCount++;
-          
-          // Enhanced error logging - show first 5 errors in detail
-          if (errorCount <= 5) {
-            logToFile(`ERROR Row ${i + 1} Full Details:`, 'ERROR');
-            logToFile(`  Columns (${validColumns.length}): ${validColumns.join(', ')}`, 'ERROR');
-            logToFile(`  Query: ${query}`, 'ERROR');
-            logToFile(`  Error: ${err.message}`, 'ERROR');
-            
-            // Show first few values
-            const sampleValues = validValues.slice(0, 5).map((v, idx) => 
-              `${validColumns[idx]}="${v}"`
-            ).join(', ');
-            logToFile(`  Sample values: ${sampleValues}`, 'ERROR');
-          } else {
-            logToFile(`Row ${i + 1} error: ${err.message}`, 'ERROR');
-          }
-        }
-      }
+    // Rejects go to the processed folder, where the file goes once all its loads succeed
+    moveRejects(rejects, config.autoUpload.processedFolder, fileName);
+    finishWatchedFile(watched, null);
 
-      await transaction.commit();
-      logToFile(`Upload to ${connConfig.name} completed: ${successCount} success, ${errorCount} errors`, 'SUCCESS');
+    return { success: true, totalRows: scope.rowCount, databases: uploadResults };
 
-      return { 
-        success: true, 
-        successCount, 
-        errorCount, 
-        dateRange: `${minDate} to ${maxDate}`,
-        stores: storeList
-      };
+  } catch (err) {
+    moveRejects(rejects, config.autoUpload.failedFolder, fileName);
+    finishWatchedFile(watched, err);
+    throw err;
+  } finally {
+    // Finished jobs are kept for a while; let go of the parsed workbook
+    file.workbook = null;
+  }
+}
 
-    } catch (err) {
-      await transaction.rollback();
-      throw err;
-    }
+// Path in dir for a file name, numbered (name-2.csv, ...) if it is taken
+function uniquePath(dir, fileName) {
+  const ext = path.extname(fileName);
+  const base = path.basename(fileName, ext);
+  let candidate = path.join(dir, fileName);
+  for (let n = 2; fs.existsSync(candidate); n++) {
+    candidate = path.join(dir, `${base}-${n}${ext}`);
+  }
+  return candidate;
+}
 
-  } finally {
-    if (pool) {
-      await pool.close();
-    }
+// Expand a ZIP archive into the watch folder, where each file in it is
+// picked up and loaded as a file of its own, then move the archive to
+// the processed folder
+function expandArchive(filePath, fileName) {
+  const { files, skipped } = expandZip(filePath, entryName => uniquePath(config.autoUpload.watchFolder, entryName));
+
+  skipped.forEach(entry => logToFile(`${fileName}: ${entry.fileName} not extracted: ${entry.reason}`, 'WARN'));
+  if (files.length === 0) {
+    throw new Error(`${fileName} contains no supported files`);
   }
+  logToFile(`Expanded ${fileName} into ${files.length} file(s): ${files.map(file => path.basename(file.filePath)).join(', ')}`);
+
+  const processedPath = uniquePath(config.autoUpload.processedFolder, fileName);
+  fs.renameSync(filePath, processedPath);
+  logToFile(`File moved to processed folder: ${processedPath}`, 'SUCCESS');
 }
 
-// Process single file
+// Process single file: detect its table and targets, then queue the load
+// (the shared job queue keeps loads into the same table from overlapping)
 async function processFile(filePath) {
   const fileName = path.basename(filePath);
   logToFile(`========================================`);
   logToFile(`Processing file: ${fileName}`);
 
   try {
-    // Parse file
-    const data = await parseFile(filePath);
-    logToFile(`Parsed ${data.length} rows from file`);
+    // Wait for file to be ready
+    await waitForFile(filePath);
+
+    // Detect actual file type
+    const fileType = detectFileType(filePath);
+    logToFile(`Detected file type: ${fileType}`);
 
-    if (data.length === 0) {
-      throw new Error('File is empty or has no data');
+    if (fileType === 'zip') {
+      expandArchive(filePath, fileName);
+      return;
     }
 
-    // Detect table name first to determine target database
-    const tableName = detectTableName(fileName, data);
-    logToFile(`Detected table: ${tableName}`);
+    // Peek at the first row of each sheet and detect its table;
+    // rows are streamed later, never held in memory
+    const { loads, unmatchedSheets } = await resolveLoads({ filePath, fileType }, fileName);
+    unmatchedSheets.forEach(unmatched => {
+      logToFile(`Sheet ${unmatched.sheet} of ${fileName} not loaded: ${unmatched.reason}`, 'WARN');
+    });
 
-    // Get enabled connections
-    let enabledConnections = config.connections.filter(conn => conn.enabled);
-    
-    if (enabledConnections.length === 0) {
-      throw new Error('No enabled database connections in config.json');
-    }
+    // Resolve target connections from routing rules
+    const targets = loads.map(({ sheet, tableName, headers }) => {
+      logToFile(`Detected table: ${tableName}${sheet ? ` (sheet ${sheet})` : ''}`);
 
-    // Route based on table name
-    if (tableName === 'SALES_INVOICE_ACCURATE_ONLINE') {
-      // Accurate Online files only go to Database 2
-      const db2 = config.connections.find(conn => conn.name === 'Database 2');
-      if (db2 && db2.enabled) {
-        enabledConnections = [db2];
-        logToFile(`Routing ${tableName} to Database 2 only`);
-      } else {
-        throw new Error('Database 2 is not enabled for SALES_INVOICE_ACCURATE_ONLINE');
-      }
-    } else {
-      // Other files go to Database 1
-      const db1 = config.connections.find(conn => conn.name === 'Database 1');
-      if (db1 && db1.enabled) {
-        enabledConnections = [db1];
-        logToFile(`Routing ${tableName} to Database 1 only`);
-      } else {
-        throw new Error('Database 1 is not enabled');
-      }
-    }
+      const { rule, connections } = resolveTargets(config, {
+        fileName,
+        tableName,
+        headers
+      });
+      const ruleInfo = rule ? ` (rule: ${rule.name})` : '';
+      logToFile(`Routing ${tableName} to ${connections.map(c => c.name).join(', ')}${ruleInfo}`);
+      return connections;
+    });
 
-    // Upload to target database(s) sequentially
-    for (const conn of enabledConnections) {
-      logToFile(`Uploading to ${conn.name}...`);
-      
-      try {
-        const result = await uploadToDatabase(conn, data, fileName);
-        const storeInfo = result.stores && result.stores.length > 0 ? ` (${result.stores.join(', ')})` : '';
-        logToFile(`✓ ${conn.name}: ${result.successCount} rows inserted${storeInfo}`, 'SUCCESS');
-      } catch (err) {
-        logToFile(`✗ ${conn.name} failed: ${err.message}`, 'ERROR');
-        throw new Error(`Upload to ${conn.name} failed after ${config.autoUpload.maxRetries} retries: ${err.message}`);
-      }
-    }
+    const watched = { filePath, fileName, remaining: loads.length, errors: [] };
+
+    loads.forEach((load, i) => {
+      const loadFileName = sheetFileName(fileName, load.sheet);
+      const file = {
+        filePath,
+        fileType: load.fileType,
+        sheet: load.sheet,
+        sheetIndex: load.sheetIndex,
+        workbook: load.workbook,
+        dialect: load.dialect,
+        layout: load.layout,
+        isRejects: load.isRejects
+      };
 
-    // Move to processed folder
-    const processedPath = path.join(config.autoUpload.processedFolder, fileName);
-    fs.renameSync(filePath, processedPath);
-    logToFile(`File moved to processed folder: ${processedPath}`, 'SUCCESS');
+      const job = submitJob({
+        source: 'watcher',
+        fileName: loadFileName,
+        tableName: load.tableName,
+        connections: targets[i].map(conn => conn.name),
+        run: (queuedJob) => loadFile(queuedJob, file, loadFileName, load.tableName, targets[i], watched)
+      });
+      logToFile(`Queued job ${job.id} for ${loadFileName} (${job.state})`);
+    });
 
   } catch (err) {
-    logToFile(`Failed to process file: ${err.message}`, 'ERROR');
-    
-    // Move to failed folder
-    const failedPath = path.join(config.autoUpload.failedFolder, fileName);
-    fs.renameSync(filePath, failedPath);
-    logToFile(`File moved to failed folder: ${failedPath}`, 'ERROR');
+    moveToFailed(filePath, fileName, err, null);
   }
 }
 
@@ -544,6 +367,7 @@ async function processFile(filePath) {
 function startWatcher() {
   loadConfig();
   ensureDirectories();
+  configureQueue(config.jobs);
 
   if (!config.autoUpload.enabled) {
     console.log('Auto-upload is disabled in config.json');
@@ -565,9 +389,9 @@ function startWatcher() {
 
   watcher.on('add', (filePath) => {
     const ext = path.extname(filePath).toLowerCase();
-    if (ext === '.csv' || ext === '.xlsx') {
+    if (SUPPORTED_EXTENSIONS.includes(ext)) {
       logToFile(`New file detected: ${path.basename(filePath)}`);
-      processFile(filePath);
+      processFile(filePath).catch(err => logToFile(`Could not process ${path.basename(filePath)}: ${err.message}`, 'ERROR'));
     }
   });
 
@@ -576,7 +400,7 @@ function startWatcher() {
   });
 
   console.log(`\n✓ File watcher is running`);
-  console.log(`✓ Drop CSV/XLSX files into: ${config.autoUpload.watchFolder}`);
+  console.log(`✓ Drop ${SUPPORTED_EXTENSIONS.join('/')} files into: ${config.autoUpload.watchFolder}`);
   console.log(`✓ Logs are saved in: ./logs/\n`);
 }
 
@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// Finished jobs kept in memory for GET /api/jobs/:id
+const MAX_FINISHED_JOBS = 200;
+
+// Log lines kept per job (all lines are still streamed)
+const MAX_JOB_LOG_LINES = 200;
+
+// Concurrency limits (config.json -> jobs):
+//   "jobs": {
+//     "maxConcurrent": 2,                              jobs running at once
+//     "tableConcurrency": { "default": 1, "X": 2 },    per target table
+//     "connectionConcurrency": { "default": 2, "Database 1": 1 }  per connection
+//   }
+let limits = {
+  maxConcurrent: 2,
+  tableConcurrency: { default: 1 },
+  connectionConcurrency: { default: 2 }
+};
+
+const jobs = new Map();
+const pending = [];
+const running = new Set();
+
+// Every job change is emitted as a 'job' event:
+//   { type: 'state', jobId, state, fileName, source, tableName }
+//   { type: 'progress', jobId, progress }
+//   { type: 'log', jobId, time, level, message }
+//   { type: 'done', jobId, state, result, error }
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+// Emit a job event
+function emitJobEvent(job, event) {
+  jobEvents.emit('job', { jobId: job.id, ...event });
+}
+
+// Emit a job's state
+function emitState(job) {
+  emitJobEvent(job, {
+    type: 'state',
+    state: job.state,
+    fileName: job.fileName,
+    source: job.source,
+    tableName: job.tableName
+  });
+}
+
+// Set concurrency limits from config.json "jobs"
+function configureQueue(jobsConfig) {
+  if (!jobsConfig) return;
+
+  limits = {
+    maxConcurrent: parseInt(jobsConfig.maxConcurrent) || limits.maxConcurrent,
+    tableConcurrency: { ...limits.tableConcurrency, ...(jobsConfig.tableConcurrency || {}) },
+    connectionConcurrency: { ...limits.connectionConcurrency, ...(jobsConfig.connectionConcurrency || {}) }
+  };
+}
+
+// Get the limit for one table or connection
+function limitFor(limitConfig, name) {
+  const limit = limitConfig[name] !== undefined ? limitConfig[name] : limitConfig.default;
+  return parseInt(limit) || Infinity;
+}
+
+// Check if a job can start next to the running ones
+function canStart(job) {
+  if (running.size >= limits.maxConcurrent) return false;
+
+  const runningJobs = [...running];
+  const tableCount = runningJobs.filter(other => other.tableName === job.tableName).length;
+  if (tableCount >= limitFor(limits.tableConcurrency, job.tableName)) return false;
+
+  return job.connections.every(conn => {
+    const connCount = runningJobs.filter(other => other.connections.includes(conn)).length;
+    return connCount < limitFor(limits.connectionConcurrency, conn);
+  });
+}
+
+// Drop the oldest finished jobs beyond MAX_FINISHED_JOBS
+function pruneFinished() {
+  const finished = [...jobs.values()].filter(job => job.finishedAt);
+  finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS)).forEach(job => jobs.delete(job.id));
+}
+
+// Start every pending job whose table and connections have a free slot
+// (jobs blocked on a busy table do not hold up jobs for other tables)
+function schedule() {
+  for (let i = 0; i < pending.length; i++) {
+    const job = pending[i];
+    if (!canStart(job)) continue;
+
+    pending.splice(i, 1);
+    i--;
+    startJob(job);
+  }
+}
+
+// Run one job and record its outcome
+async function startJob(job) {
+  running.add(job);
+  job.state = 'running';
+  job.startedAt = new Date().toISOString();
+  emitState(job);
+  job.update({ phase: 'starting' });
+
+  try {
+    job.result = await job.run(job);
+    job.state = 'completed';
+    job.update({ phase: 'done' });
+  } catch (err) {
+    job.state = 'failed';
+    job.error = err.message;
+    job.result = err.result || null;
+    job.update({ phase: 'failed' });
+  } finally {
+    job.finishedAt = new Date().toISOString();
+    running.delete(job);
+    emitJobEvent(job, { type: 'done', state: job.state, result: job.result, error: job.error });
+    pruneFinished();
+    schedule();
+  }
+}
+
+// Queue a job. run(job) does the work and returns the job result; it can
+// report progress with job.update({ phase, ... }) and log lines with
+// job.log(message, level). A failed run may attach a partial result to
+// the thrown error as err.result.
+// Returns the job right away (state "queued" or "running").
+function submitJob({ source, fileName, tableName, connections, run }) {
+  const job = {
+    id: crypto.randomUUID(),
+    source,
+    fileName,
+    tableName,
+    connections: connections || [],
+    state: 'queued',
+    progress: { phase: 'queued' },
+    result: null,
+    error: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    logs: [],
+    run,
+    update(progress) {
+      Object.assign(job.progress, progress);
+      emitJobEvent(job, { type: 'progress', progress: job.progress });
+    },
+    log(message, level = 'INFO') {
+      const line = { time: new Date().toISOString(), level, message };
+      job.logs.push(line);
+      if (job.logs.length > MAX_JOB_LOG_LINES) job.logs.shift();
+      emitJobEvent(job, { type: 'log', ...line });
+    }
+  };
+
+  jobs.set(job.id, job);
+  emitState(job);
+  pending.push(job);
+  schedule();
+  return job;
+}
+
+// Public view of a job (without its run function)
+function toJobInfo(job) {
+  const { run, update, log, ...info } = job;
+  return info;
+}
+
+// Get a job by ID (undefined if unknown or pruned)
+function getJob(id) {
+  const job = jobs.get(id);
+  return job && toJobInfo(job);
+}
+
+// List jobs, newest first
+function listJobs() {
+  return [...jobs.values()].reverse().map(toJobInfo);
+}
+
+module.exports = {
+  jobEvents,
+  configureQueue,
+  submitJob,
+  getJob,
+  listJobs
+};
@@ -0,0 +1,208 @@
+const sql = require('mssql');
+const { tableExists } = require('./tableManager');
+const { getColumnMetadata, columnDefinition } = require('./bulkLoader');
+const { AUDIT_TABLE } = require('./audit');
+
+// Column on each data table holding the job ID of the load that wrote the row
+const LOAD_ID_COLUMN = '_LOAD_ID';
+
+// Column on the backup table holding the job ID of the load that deleted
+// (replaceScope) or overwrote (upsert) the row
+const REPLACED_BY_COLUMN = '_REPLACED_BY_LOAD';
+
+// Days a load can be undone, unless the table's tableSchemas.json entry
+// sets "undoRetentionDays". Backup rows of older loads are purged.
+const DEFAULT_UNDO_RETENTION_DAYS = 30;
+
+// Backup table for a data table, e.g. SNJ_SRP_DETAIL__BACKUP
+function backupTableName(tableName) {
+  return `${tableName}__BACKUP`;
+}
+
+// SQL adding LOAD_ID_COLUMN and its index to a data table. Existing tables
+// get it from migrations (see schemaDrift.js), not as a side effect of a load.
+function loadTrackingStatements(tableName) {
+  return [
+    `ALTER TABLE [${tableName}] ADD [${LOAD_ID_COLUMN}] NVARCHAR(50) NULL`,
+    `CREATE INDEX [idx_${LOAD_ID_COLUMN.toLowerCase()}] ON [${tableName}] ([${LOAD_ID_COLUMN}])`
+  ];
+}
+
+// Add LOAD_ID_COLUMN to a table the load has just created
+async function addLoadTracking(pool, tableName, log) {
+  for (const statement of loadTrackingStatements(tableName)) {
+    await pool.request().query(statement);
+  }
+  log(`Added ${LOAD_ID_COLUMN} column to ${tableName}`);
+}
+
+// Oldest load start that can still be undone for a table
+function undoCutoff(schema) {
+  const days = schema && schema.undoRetentionDays !== undefined ? schema.undoRetentionDays : DEFAULT_UNDO_RETENTION_DAYS;
+  return new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+}
+
+// Delete the backup rows of loads that started before the cutoff (their
+// undo is refused from then on). Loads without an audit record are kept.
+async function purgeBackups(pool, tableName, cutoff, log) {
+  const backupTable = backupTableName(tableName);
+  if (!(await tableExists(pool, backupTable)) || !(await tableExists(pool, AUDIT_TABLE))) {
+    return 0;
+  }
+
+  const request = pool.request();
+  request.input('tableName', sql.NVarChar(128), tableName);
+  request.input('cutoff', sql.DateTime2, cutoff);
+  const result = await request.query(`
+    DELETE b FROM [${backupTable}] b
+    WHERE EXISTS (
+      SELECT 1 FROM [${AUDIT_TABLE}] h
+      WHERE h.[JobId] = b.[${REPLACED_BY_COLUMN}] AND h.[TableName] = @tableName
+        AND h.[WriteMode] <> 'undo' AND h.[StartedAt] < @cutoff
+    )
+  `);
+
+  const purged = result.rowsAffected[0];
+  if (purged > 0) {
+    log(`Purged ${purged} rows of loads older than ${cutoff.toISOString().substring(0, 10)} from ${backupTable}`);
+  }
+  return purged;
+}
+
+// Prepare a table for an undoable load: purge expired backups and create
+// (or extend) the backup table. Returns the backup target used by
+// deleteScope / applyFromStaging: { table, columns, identity, loadId }, or
+// null when the table has no LOAD_ID_COLUMN yet (the load then cannot be
+// undone). identity is set when the backup table has an IDENTITY column
+// (copied from the live table by SELECT INTO).
+async function ensureLoadTracking(pool, tableName, schema, loadId, log) {
+  const columnMeta = await getColumnMetadata(pool, tableName);
+
+  if (!columnMeta[LOAD_ID_COLUMN]) {
+    log(`${tableName} has no ${LOAD_ID_COLUMN} column, this load cannot be undone (run migrate to add it)`, 'WARN');
+    return null;
+  }
+
+  await purgeBackups(pool, tableName, undoCutoff(schema), log);
+
+  const backupTable = backupTableName(tableName);
+
+  if (!(await tableExists(pool, backupTable))) {
+    await pool.request().query(`SELECT TOP 0 * INTO [${backupTable}] FROM [${tableName}]`);
+    await pool.request().query(`ALTER TABLE [${backupTable}] ADD [${REPLACED_BY_COLUMN}] NVARCHAR(50) NULL`);
+    await pool.request().query(`CREATE INDEX [idx_${REPLACED_BY_COLUMN.toLowerCase()}] ON [${backupTable}] ([${REPLACED_BY_COLUMN}])`);
+    log(`Backup table ${backupTable} was created`);
+  } else {
+    // Columns added to the live table since the backup table was created
+    const backupMeta = await getColumnMetadata(pool, backupTable);
+    for (const col of Object.keys(columnMeta).filter(col => !backupMeta[col])) {
+      await pool.request().query(`ALTER TABLE [${backupTable}] ADD [${col}] ${columnDefinition(columnMeta[col])} NULL`);
+      log(`Added ${col} column to ${backupTable}`);
+    }
+  }
+
+  const backupMeta = await getColumnMetadata(pool, backupTable);
+  const identity = Object.values(backupMeta).some(meta => meta.identity);
+  return { table: backupTable, columns: Object.keys(columnMeta), identity, loadId };
+}
+
+// SQL copying rows into the backup table before they are deleted or
+// overwritten. selectFrom is the FROM/WHERE part, with the live table
+// aliased as t; its parameters go on the same request. IDENTITY values are
+// kept, so an undo puts the rows back under their old IDs.
+function backupStatement(request, backup, selectFrom) {
+  request.input('backupLoadId', sql.NVarChar(50), backup.loadId);
+
+  const columnList = backup.columns.map(col => `[${col}]`).join(', ');
+  const sourceList = backup.columns.map(col => `t.[${col}]`).join(', ');
+  const insertSql = `
+    INSERT INTO [${backup.table}] (${columnList}, [${REPLACED_BY_COLUMN}])
+    SELECT ${sourceList}, @backupLoadId ${selectFrom};
+  `;
+  return backup.identity
+    ? `SET IDENTITY_INSERT [${backup.table}] ON; ${insertSql} SET IDENTITY_INSERT [${backup.table}] OFF;`
+    : insertSql;
+}
+
+// Undo a load in one transaction: delete the rows it wrote and put back the
+// rows it deleted or overwrote. A later load that replaced rows of this load
+// has to be undone first. insertedCount (from the audit table) catches
+// loads whose rows were never tagged. Returns { removedCount, restoredCount }.
+async function undoLoad(pool, tableName, loadId, insertedCount, log) {
+  const columnMeta = await getColumnMetadata(pool, tableName);
+  if (!columnMeta[LOAD_ID_COLUMN]) {
+    throw new Error(`${tableName} has no ${LOAD_ID_COLUMN} column, its loads cannot be undone`);
+  }
+
+  const backupTable = backupTableName(tableName);
+  const hasBackup = await tableExists(pool, backupTable);
+  const backupMeta = hasBackup ? await getColumnMetadata(pool, backupTable) : {};
+
+  if (hasBackup) {
+    const laterRequest = pool.request();
+    laterRequest.input('loadId', sql.NVarChar(50), loadId);
+    const laterResult = await laterRequest.query(`
+      SELECT DISTINCT [${REPLACED_BY_COLUMN}] AS loadId FROM [${backupTable}]
+      WHERE [${LOAD_ID_COLUMN}] = @loadId AND [${REPLACED_BY_COLUMN}] <> @loadId
+    `);
+    if (laterResult.recordset.length > 0) {
+      const later = laterResult.recordset.map(row => row.loadId).join(', ');
+      throw new Error(`Rows of load ${loadId} were replaced by later load(s) ${later}; undo those first`);
+    }
+  }
+
+  const transaction = new sql.Transaction(pool);
+  await transaction.begin();
+
+  try {
+    const deleteRequest = new sql.Request(transaction);
+    deleteRequest.input('loadId', sql.NVarChar(50), loadId);
+    const deleteResult = await deleteRequest.query(`DELETE FROM [${tableName}] WHERE [${LOAD_ID_COLUMN}] = @loadId`);
+    const removedCount = deleteResult.rowsAffected[0];
+    if (removedCount === 0 && insertedCount > 0) {
+      throw new Error(`No rows in ${tableName} are tagged with load ${loadId} (loaded before undo was available?)`);
+    }
+    log(`Removed ${removedCount} rows written by load ${loadId}`);
+
+    let restoredCount = 0;
+    if (hasBackup) {
+      const columnList = Object.keys(columnMeta).filter(col => backupMeta[col]).map(col => `[${col}]`).join(', ');
+      // Restored rows keep their old IDENTITY values
+      const identity = Object.values(columnMeta).some(meta => meta.identity);
+
+      if (identity) {
+        await new sql.Request(transaction).query(`SET IDENTITY_INSERT [${tableName}] ON`);
+      }
+      const restoreRequest = new sql.Request(transaction);
+      restoreRequest.input('loadId', sql.NVarChar(50), loadId);
+      const restoreResult = await restoreRequest.query(`
+        INSERT INTO [${tableName}] (${columnList})
+        SELECT ${columnList} FROM [${backupTable}] WHERE [${REPLACED_BY_COLUMN}] = @loadId;
+        DELETE FROM [${backupTable}] WHERE [${REPLACED_BY_COLUMN}] = @loadId;
+      `);
+      if (identity) {
+        await new sql.Request(transaction).query(`SET IDENTITY_INSERT [${tableName}] OFF`);
+      }
+      restoredCount = restoreResult.rowsAffected[0];
+      log(`Restored ${restoredCount} rows from ${backupTable}`);
+    }
+
+    await transaction.commit();
+    return { removedCount, restoredCount };
+
+  } catch (err) {
+    await transaction.rollback();
+    throw err;
+  }
+}
+
+module.exports = {
+  LOAD_ID_COLUMN,
+  backupTableName,
+  loadTrackingStatements,
+  addLoadTracking,
+  undoCutoff,
+  ensureLoadTracking,
+  backupStatement,
+  undoLoad
+};
@@ -0,0 +1,297 @@
+const sql = require('mssql');
+const crypto = require('crypto');
+const { loadSchemas, tableExists, ensureTable } = require('./tableManager');
+const { checkTableDrift } = require('./schemaDrift');
+const { connectWithRetry } = require('./uploader');
+
+// Tracking table, created on each target database like the audit table.
+// One row per applied version of a table's schema.
+const MIGRATIONS_TABLE = 'SCHEMA_MIGRATIONS';
+
+const MIGRATIONS_SCHEMA = {
+  columns: {
+    Id: 'BIGINT IDENTITY(1,1)',
+    TableName: 'NVARCHAR(128)',
+    Version: 'INT',
+    SchemaHash: 'CHAR(64)',
+    SchemaJson: 'NVARCHAR(MAX)',
+    Statements: 'NVARCHAR(MAX)',
+    AppliedAt: 'DATETIME2',
+    AppliedBy: 'NVARCHAR(100)'
+  },
+  primaryKey: ['Id'],
+  indexes: ['TableName']
+};
+
+// Integer digits each integer type holds
+const INTEGER_DIGITS = { tinyint: 3, smallint: 5, int: 10, bigint: 19 };
+
+// Text types, and the date/time types in order of what they hold
+const TEXT_TYPES = ['char', 'varchar', 'nchar', 'nvarchar'];
+const DATE_TYPES = ['date', 'smalldatetime', 'datetime', 'datetime2'];
+
+// Name and arguments of a type, e.g. "DECIMAL(18, 2)" -> { name: 'decimal', args: ['18', '2'] }
+function parseType(type) {
+  const match = type.toLowerCase().replace(/\s+/g, '').match(/^(\w+)(?:\((.*)\))?$/);
+  return match ? { name: match[1], args: match[2] ? match[2].split(',') : [] } : { name: type.toLowerCase(), args: [] };
+}
+
+// Integer digits and scale a numeric type holds, or null for other types
+function numberRange(type) {
+  if (INTEGER_DIGITS[type.name] !== undefined) return { integer: INTEGER_DIGITS[type.name], scale: 0 };
+  if (type.name !== 'decimal' && type.name !== 'numeric') return null;
+
+  const precision = Number(type.args[0] || 18);
+  const scale = Number(type.args[1] || 0);
+  return { integer: precision - scale, scale };
+}
+
+// Characters a text type holds (MAX: Infinity), or null for other types
+function textLength(type) {
+  if (!TEXT_TYPES.includes(type.name)) return null;
+  return type.args[0] === 'max' ? Infinity : Number(type.args[0] || 1);
+}
+
+// Why changing a column from one type to another can lose existing
+// values, or null when every value fits the new type
+function narrowingReason(from, to) {
+  const source = parseType(from);
+  const target = parseType(to);
+
+  const sourceNumber = numberRange(source);
+  const targetNumber = numberRange(target);
+  if (sourceNumber && targetNumber) {
+    if (targetNumber.scale < sourceNumber.scale) return 'drops decimal places';
+    if (targetNumber.integer < sourceNumber.integer) return 'holds fewer integer digits';
+    return null;
+  }
+
+  const targetLength = textLength(target);
+  if (targetLength !== null) {
+    const sourceLength = textLength(source);
+    if (sourceLength !== null) {
+      if (targetLength < sourceLength) return 'can truncate text';
+      if (source.name.startsWith('n') && !target.name.startsWith('n')) return 'loses characters outside the code page';
+      return null;
+    }
+    // Numbers as text need room for the sign and decimal point
+    if (sourceNumber) {
+      return targetLength >= sourceNumber.integer + sourceNumber.scale + 2 ? null : 'can truncate numbers';
+    }
+  }
+
+  if (DATE_TYPES.includes(source.name) && DATE_TYPES.includes(target.name)) {
+    if (DATE_TYPES.indexOf(target.name) < DATE_TYPES.indexOf(source.name)) return 'drops time or precision';
+    if (source.name === 'datetime2' && target.name === 'datetime2' && Number(target.args[0] || 7) < Number(source.args[0] || 7)) {
+      return 'drops time precision';
+    }
+    return null;
+  }
+
+  return 'may not convert existing values';
+}
+
+// Parts of a tableSchemas.json entry that migrations manage
+function managedSchema(schema) {
+  return {
+    columns: schema.columns || {},
+    primaryKey: schema.primaryKey || [],
+    indexes: schema.indexes || []
+  };
+}
+
+// Hash of the managed schema, to tell whether tableSchemas.json changed
+// since the last applied version
+function schemaHash(schema) {
+  return crypto.createHash('sha256').update(JSON.stringify(managedSchema(schema))).digest('hex');
+}
+
+// Last applied version of a table: { version, schemaHash, schema }, or null
+async function getAppliedVersion(pool, tableName) {
+  if (!(await tableExists(pool, MIGRATIONS_TABLE))) {
+    return null;
+  }
+
+  const request = pool.request();
+  request.input('tableName', sql.NVarChar(128), tableName);
+  const result = await request.query(`
+    SELECT TOP 1 Version, SchemaHash, SchemaJson FROM [${MIGRATIONS_TABLE}]
+    WHERE TableName = @tableName
+    ORDER BY Version DESC
+  `);
+
+  const row = result.recordset[0];
+  return row ? { version: row.Version, schemaHash: row.SchemaHash, schema: JSON.parse(row.SchemaJson) } : null;
+}
+
+// Plan the forward migration of one table from its live state to
+// tableSchemas.json. Returns { table, status, fromVersion, toVersion,
+// statements, skipped: [{ type, name, reason }],
+// narrowing: [{ name, from, to, reason }] }
+// status: upToDate, pending, blocked (narrowing column types without
+// options.force) or notDeclared (no columns in tableSchemas.json).
+// Columns are never dropped; an index is dropped only when an earlier
+// version declared it, so indexes created by hand are left alone.
+async function planTableMigration(pool, tableName, schema, options = {}) {
+  const applied = await getAppliedVersion(pool, tableName);
+  const fromVersion = applied ? applied.version : 0;
+  const drift = await checkTableDrift(pool, tableName, schema);
+
+  if (drift.status === 'notDeclared') {
+    return { table: tableName, status: 'notDeclared', fromVersion, toVersion: fromVersion, statements: [], skipped: [], narrowing: [] };
+  }
+
+  const appliedIndexes = applied ? applied.schema.indexes : [];
+  const statements = [];
+  const skipped = [];
+  const narrowing = drift.differences
+    .filter(diff => diff.type === 'typeMismatch')
+    .map(diff => ({ name: diff.name, from: diff.actual, to: diff.expected, reason: narrowingReason(diff.actual, diff.expected) }))
+    .filter(change => change.reason);
+
+  drift.differences.forEach(diff => {
+    if (diff.type === 'extraColumn') {
+      skipped.push({ type: diff.type, name: diff.name, reason: 'columns are never dropped by migrations' });
+    } else if (diff.type === 'extraIndex') {
+      if (diff.actual.length === 1 && appliedIndexes.includes(diff.actual[0])) {
+        statements.push(`DROP INDEX [${diff.name}] ON [${tableName}]`);
+      } else {
+        skipped.push({ type: diff.type, name: diff.name, reason: 'index was not created from tableSchemas.json' });
+      }
+    } else {
+      statements.push(...diff.fix.split('\nGO\n'));
+    }
+  });
+
+  // A changed schema with nothing to run (first run on an existing table,
+  // or changes made by hand) is still recorded as a new version
+  const pending = statements.length > 0 || !applied || applied.schemaHash !== schemaHash(schema);
+
+  let status = pending ? 'pending' : 'upToDate';
+  if (narrowing.length > 0 && !options.force) status = 'blocked';
+
+  return {
+    table: tableName,
+    status,
+    fromVersion,
+    toVersion: pending ? fromVersion + 1 : fromVersion,
+    statements,
+    skipped,
+    narrowing
+  };
+}
+
+// Run a planned migration and record its version in one transaction
+async function applyTableMigration(pool, plan, schema, userName, log) {
+  await ensureTable(pool, MIGRATIONS_TABLE, MIGRATIONS_SCHEMA);
+
+  const transaction = new sql.Transaction(pool);
+  await transaction.begin();
+
+  try {
+    for (const statement of plan.statements) {
+      await new sql.Request(transaction).query(statement);
+      log(`${plan.table}: ${statement}`);
+    }
+
+    const request = new sql.Request(transaction);
+    request.input('TableName', sql.NVarChar(128), plan.table);
+    request.input('Version', sql.Int, plan.toVersion);
+    request.input('SchemaHash', sql.Char(64), schemaHash(schema));
+    request.input('SchemaJson', sql.NVarChar(sql.MAX), JSON.stringify(managedSchema(schema)));
+    request.input('Statements', sql.NVarChar(sql.MAX), plan.statements.join('\nGO\n'));
+    request.input('AppliedAt', sql.DateTime2, new Date());
+    request.input('AppliedBy', sql.NVarChar(100), userName || null);
+    await request.query(`
+      INSERT INTO [${MIGRATIONS_TABLE}] (TableName, Version, SchemaHash, SchemaJson, Statements, AppliedAt, AppliedBy)
+      VALUES (@TableName, @Version, @SchemaHash, @SchemaJson, @Statements, @AppliedAt, @AppliedBy)
+    `);
+
+    await transaction.commit();
+    log(`✓ ${plan.table} migrated to version ${plan.toVersion}`);
+
+  } catch (err) {
+    await transaction.rollback();
+    throw new Error(`Migration of ${plan.table} to version ${plan.toVersion} failed: ${err.message}`);
+  }
+}
+
+// Plan (and unless options.dryRun, apply) migrations for every table in
+// tableSchemas.json (or only options.table) on each connection.
+// Narrowing type changes (NVARCHAR(100) -> NVARCHAR(50), fewer decimal
+// places, ...) are refused unless options.force.
+// Returns { connections: [{ connection, database, tables }], errors, script }
+// where tables are the plans and script is their SQL for all connections.
+// A failed or blocked table stops that connection; later tables wait for
+// the next run.
+async function runMigrations(connections, options = {}) {
+  const log = options.log || console.log;
+  const schemas = loadSchemas();
+  const tableNames = Object.keys(schemas).filter(name => !options.table || name === options.table);
+  const results = [];
+  const errors = [];
+
+  if (options.table && tableNames.length === 0) {
+    throw new Error(`No schema defined for table: ${options.table}`);
+  }
+
+  for (const conn of connections) {
+    let pool;
+    const tables = [];
+    try {
+      pool = await connectWithRetry(conn, { retries: 1, log: () => {} });
+
+      for (const tableName of tableNames) {
+        const plan = await planTableMigration(pool, tableName, schemas[tableName], { force: options.force });
+        tables.push(plan);
+
+        if (plan.status === 'blocked' && !options.dryRun) {
+          const changes = plan.narrowing.map(change => `${change.name} ${change.from} -> ${change.to} ${change.reason}`);
+          throw new Error(`${tableName} not migrated: ${changes.join('; ')} (apply with force)`);
+        }
+
+        if (plan.status === 'pending' && !options.dryRun) {
+          await applyTableMigration(pool, plan, schemas[tableName], options.userName, log);
+          plan.status = 'applied';
+        }
+      }
+    } catch (err) {
+      errors.push({ connection: conn.name, error: err.message });
+    } finally {
+      if (pool) {
+        await pool.close();
+      }
+    }
+    results.push({ connection: conn.name, database: conn.database, tables });
+  }
+
+  return { connections: results, errors, script: buildMigrationScript(results) };
+}
+
+// Migration SQL for planned tables, one section per connection
+function buildMigrationScript(results) {
+  const sections = results.map(result => {
+    const header = `-- ${result.connection} (${result.database})`;
+    const tables = result.tables.filter(plan => plan.status !== 'upToDate' && plan.status !== 'notDeclared');
+    if (tables.length === 0) {
+      return `${header}\n-- Up to date`;
+    }
+
+    const lines = [header, `USE [${result.database}]`, 'GO'];
+    tables.forEach(plan => {
+      lines.push(`-- ${plan.table}: version ${plan.fromVersion} -> ${plan.toVersion}`);
+      plan.narrowing.forEach(change => lines.push(`-- Narrowing ${change.name} ${change.from} -> ${change.to}: ${change.reason}${plan.status === 'blocked' ? ' (applied only with force)' : ''}`));
+      plan.statements.forEach(statement => lines.push(statement, 'GO'));
+      plan.skipped.forEach(skip => lines.push(`-- Skipped ${skip.type} ${skip.name}: ${skip.reason}`));
+    });
+    return lines.join('\n');
+  });
+
+  return sections.join('\n\n') + '\n';
+}
+
+module.exports = {
+  MIGRATIONS_TABLE,
+  planTableMigration,
+  runMigrations
+};
@@ -1,8 +1,58 @@
 // Load saved connection on page load
 window.addEventListener('DOMContentLoaded', () => {
   loadSavedConnection();
+  connectLiveLog();
+  document.getElementById('uploadedBy').value = localStorage.getItem('uploadedBy') || '';
 });
 
+// Lines kept in the live log panel
+const MAX_LIVE_LOG_LINES = 500;
+
+// File names of jobs seen on the event stream, by job ID
+const jobFileNames = {};
+
+function appendLiveLog(text, level) {
+  const liveLog = document.getElementById('liveLog');
+  const atBottom = liveLog.scrollTop + liveLog.clientHeight >= liveLog.scrollHeight - 5;
+
+  const line = document.createElement('div');
+  line.className = 'log-' + (level || 'INFO').toLowerCase();
+  line.textContent = text;
+  liveLog.appendChild(line);
+
+  while (liveLog.childNodes.length > MAX_LIVE_LOG_LINES) {
+    liveLog.removeChild(liveLog.firstChild);
+  }
+  if (atBottom) {
+    liveLog.scrollTop = liveLog.scrollHeight;
+  }
+}
+
+// Follow every job (web uploads and file watcher) in the live log
+function connectLiveLog() {
+  const events = new EventSource('/api/events');
+
+  events.addEventListener('state', (e) => {
+    const event = JSON.parse(e.data);
+    jobFileNames[event.jobId] = event.fileName;
+    appendLiveLog(`[${event.source}] ${event.fileName}: ${event.state} (${event.tableName})`);
+  });
+
+  events.addEventListener('log', (e) => {
+    const event = JSON.parse(e.data);
+    const time = new Date(event.time).toLocaleTimeString();
+    const fileName = jobFileNames[event.jobId] || event.jobId.substring(0, 8);
+    appendLiveLog(`${time} ${fileName}: ${event.message}`, event.level);
+  });
+
+  events.addEventListener('done', (e) => {
+    const event = JSON.parse(e.data);
+    const fileName = jobFileNames[event.jobId] || event.jobId.substring(0, 8);
+    appendLiveLog(`${fileName}: ${event.state}${event.error ? ' - ' + event.error : ''}`,
+      event.state === 'completed' ? 'SUCCESS' : 'ERROR');
+  });
+}
+
 function loadSavedConnection() {
   const saved = localStorage.getItem('sqlServerConnection');
   if (saved) {
@@ -89,9 +139,301 @@ async function testConnection() {
   }
 }
 
-document.getElementById('uploadForm').addEventListener('submit', async (e) => {
-  e.preventDefault();
+function toggleThresholdFields() {
+  const policy = document.getElementById('errorPolicy').value;
+  document.getElementById('thresholdFields').style.display = policy === 'threshold' ? 'grid' : 'none';
+}
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+function renderPreview(result) {
+  let html = `
+    <p><strong>Table:</strong> ${escapeHtml(result.tableName)}</p>
+    <p><strong>Total Rows:</strong> ${result.totalRows}</p>
+  `;
+
+  result.databases.forEach(db => {
+    html += `<h3>${escapeHtml(db.database)}</h3>`;
+    html += `<p><strong>Write Mode:</strong> ${escapeHtml(db.writeMode)} (error policy: ${escapeHtml(db.errorPolicy)})</p>`;
+    html += `<p><strong>Date Range:</strong> ${escapeHtml(db.dateRange)}</p>`;
+    html += `<p><strong>Stores/Branches:</strong> ${db.stores.length > 0 ? escapeHtml(db.stores.join(', ')) : 'N/A'}</p>`;
+    html += renderPreviousLoads(db);
+    if (db.deleteCount !== null) {
+      html += `<p><strong>Rows to be deleted:</strong> ${db.deleteCount}</p>`;
+    }
+    if (!db.tableExists) {
+      html += `<p><strong>Table does not exist yet</strong> and will be created</p>`;
+    }
+    html += `<p><strong>Invalid Rows:</strong> ${db.invalidCount}</p>`;
+    if (db.schemaChanges.length > 0) {
+      const added = db.schemaChanges.map(change => `${change.column} ${change.type}`);
+      html += `<p><strong>Columns to be added:</strong> ${escapeHtml(added.join(', '))}</p>`;
+    } else if (db.unknownColumns.length > 0 && !db.schemaViolation) {
+      html += `<p><strong>Unknown columns (skipped):</strong> ${escapeHtml(db.unknownColumns.join(', '))}</p>`;
+    }
+    if (db.schemaViolation) {
+      html += `<p class="status-message error">Upload would fail: ${escapeHtml(db.schemaViolation)}</p>`;
+    }
+    if (db.missingColumns.length > 0) {
+      html += `<p><strong>Columns missing from file:</strong> ${escapeHtml(db.missingColumns.join(', '))}</p>`;
+    }
+    if (db.policyViolation) {
+      html += `<p class="status-message error">Upload would be rolled back: ${escapeHtml(db.policyViolation)}</p>`;
+    }
+
+    html += renderErrorList(db.invalidRows);
+
+    if (db.sampleRows.length > 0) {
+      const columns = Object.keys(db.sampleRows[0]);
+      html += '<div class="preview-table"><table><thead><tr>';
+      html += columns.map(col => `<th>${escapeHtml(col)}</th>`).join('');
+      html += '</tr></thead><tbody>';
+      db.sampleRows.forEach(row => {
+        html += '<tr>' + columns.map(col => `<td>${escapeHtml(row[col])}</td>`).join('') + '</tr>';
+      });
+      html += '</tbody></table></div>';
+    }
+  });
+
+  html += `
+    <button type="button" class="btn btn-primary" onclick="uploadFile(false)">
+      Commit
+    </button>
+  `;
+  return html;
+}
+
+function renderPreviousLoads(db) {
+  let html = '';
+  if (db.duplicateOf) {
+    html += `<p class="status-message error">${db.skipped ? 'Skipped: ' : ''}already loaded as ` +
+      `${escapeHtml(db.duplicateOf.fileName)} at ${escapeHtml(db.duplicateOf.loadedAt)}</p>`;
+  }
+  (db.sameScope || []).forEach(load => {
+    html += `<p class="status-message error">Same dates and stores as ${escapeHtml(load.fileName)} ` +
+      `(loaded ${escapeHtml(load.loadedAt)}) but different content</p>`;
+  });
+  return html;
+}
+
+function renderErrorList(errors, rejectsFile) {
+  if (!errors || errors.length === 0) return '';
+
+  let html = '<div class="error-list"><strong>Error Details (first 10):</strong>';
+  errors.forEach(err => {
+    const column = err.column ? ` [${escapeHtml(err.column)}]` : '';
+    html += `<div class="error-item">Row ${escapeHtml(err.row)}${column}: ${escapeHtml(err.error)}</div>`;
+  });
+  if (rejectsFile) {
+    html += `<p><a href="/api/rejects/${encodeURIComponent(rejectsFile)}">Download all rejected rows (${escapeHtml(rejectsFile)})</a></p>`;
+  }
+  return html + '</div>';
+}
+
+// Overall percentage for a job's progress (scan = first 10%, load = rest)
+function progressPercent(progress) {
+  if (progress.phase === 'done') return 100;
+  if (!progress.totalRows || !progress.connectionsTotal) return null;
+
+  const rowsDone = Math.min(progress.rowsProcessed || 0, progress.totalRows) / progress.totalRows;
+  const loaded = ((progress.connectionsDone || 0) + rowsDone) / progress.connectionsTotal;
+  return Math.round(10 + 90 * Math.min(loaded, 1));
+}
+
+function showProgress(progress) {
+  const progressBar = document.getElementById('progressBar');
+  const percent = progressPercent(progress);
+
+  progressBar.classList.toggle('indeterminate', percent === null);
+  progressBar.querySelector('.progress-fill').style.width = percent === null ? '' : percent + '%';
+
+  let text = `Phase: ${progress.phase}`;
+  if (progress.connection) text += ` | ${progress.connection}`;
+  if (progress.phase === 'scanning' && progress.rowsScanned !== undefined) {
+    text += ` | ${progress.rowsScanned} rows parsed`;
+  }
+  if (progress.totalRows !== undefined && progress.rowsProcessed !== undefined) {
+    text += ` | ${progress.rowsProcessed}/${progress.totalRows} rows (batch ${progress.batch || 0})`;
+    text += ` | inserted ${progress.successCount || 0}, failed ${progress.errorCount || 0}`;
+  }
+  if (progress.deletedCount) text += ` | deleted ${progress.deletedCount}`;
+  if (percent !== null) text += ` | ${percent}%`;
+
+  document.getElementById('progressText').textContent = text;
+}
+
+// Follow a queued job on its event stream until it finishes, returning its result
+function waitForJob(jobId, statusDiv) {
+  return new Promise((resolve) => {
+    const events = new EventSource(`/api/jobs/${jobId}/events`);
+
+    events.addEventListener('snapshot', (e) => {
+      const { job } = JSON.parse(e.data);
+      showProgress(job.progress);
+    });
+
+    events.addEventListener('state', (e) => {
+      const event = JSON.parse(e.data);
+      statusDiv.textContent = event.state === 'queued' ? 'Waiting in queue...' : 'Processing...';
+    });
+
+    events.addEventListener('progress', (e) => {
+      showProgress(JSON.parse(e.data).progress);
+    });
+
+    events.addEventListener('done', (e) => {
+      events.close();
+      const event = JSON.parse(e.data);
+      if (event.state === 'completed') {
+        resolve(event.result);
+      } else {
+        resolve(event.result || { success: false, message: event.error });
+      }
+    });
+
+    // The browser reconnects on its own; CLOSED means the job is gone
+    events.onerror = () => {
+      if (events.readyState === EventSource.CLOSED) {
+        resolve({ success: false, message: 'Lost connection to the job event stream' });
+      }
+    };
+  });
+}
+
+// File extensions the server accepts (see SUPPORTED_EXTENSIONS in fileReader.js)
+const UPLOAD_EXTENSIONS = ['.csv', '.xlsx', '.xls', '.json', '.ndjson', '.jsonl', '.txt', '.dat', '.prn', '.zip'];
+
+// Sheets of an uploaded workbook that no table reads, and files in an
+// uploaded ZIP archive that cannot be loaded
+function renderNotLoaded(queued) {
+  const unmatchedSheets = queued.unmatchedSheets || [];
+  const skippedFiles = queued.skippedFiles || [];
+  let html = '';
+
+  if (unmatchedSheets.length > 0) {
+    html += '<div class="error-list"><strong>Sheets not loaded:</strong>';
+    unmatchedSheets.forEach(unmatched => {
+      html += `<div class="error-item">${escapeHtml(unmatched.fileName)} [${escapeHtml(unmatched.sheet)}]: ${escapeHtml(unmatched.reason)}</div>`;
+    });
+    html += '</div>';
+  }
+
+  if (skippedFiles.length > 0) {
+    html += '<div class="error-list"><strong>Files not loaded:</strong>';
+    skippedFiles.forEach(skipped => {
+      html += `<div class="error-item">${escapeHtml(skipped.fileName)}: ${escapeHtml(skipped.reason)}</div>`;
+    });
+    html += '</div>';
+  }
+  return html;
+}
+
+// Outcome of each target connection of an upload (loaded, skipped,
+// alreadyLoaded or failed), when it went to more than one
+function renderConnectionOutcomes(databases) {
+  if (!databases || databases.length < 2) return '';
+
+  const items = databases.map(db => {
+    const outcome = db.status === 'failed' ? `failed: ${db.error}` : db.status;
+    return `<li>${escapeHtml(db.database)}: ${escapeHtml(outcome)}</li>`;
+  });
+  return `<p><strong>Connections:</strong></p><ul>${items.join('')}</ul>`;
+}
+
+// Result details of a completed (not dry run) upload
+function renderUploadResult(result) {
+  let resultsHTML = `
+    <p><strong>Date Range:</strong> ${escapeHtml(result.dateRange || 'N/A')}</p>
+    <p><strong>Total Rows:</strong> ${result.totalRows}</p>
+    <p><strong>Successfully Inserted:</strong> ${result.totalSuccessCount}</p>
+    <p><strong>Errors:</strong> ${result.totalErrorCount}</p>
+  ` + renderConnectionOutcomes(result.databases);
+
+  result.databases.forEach(db => {
+    let notes = renderPreviousLoads(db);
+    if (db.schemaChanges && db.schemaChanges.length > 0) {
+      const added = db.schemaChanges.map(change => `${change.column} ${change.type}`);
+      notes += `<p><strong>Columns added:</strong> ${escapeHtml(added.join(', '))}</p>`;
+    }
+    if (notes) {
+      resultsHTML += `<h3>${escapeHtml(db.database)}</h3>` + notes;
+    }
+  });
 
+  return resultsHTML + renderErrorList(result.errors, result.rejectsFile);
+}
+
+// Show the result of a single upload job (or of a failed upload request)
+function showUploadResult(result, extraHTML) {
+  const statusDiv = document.getElementById('uploadStatus');
+  const resultsDiv = document.getElementById('results');
+
+  if (result.success && result.dryRun) {
+    statusDiv.textContent = '✓ ' + result.message;
+    statusDiv.className = 'status-message success';
+
+    resultsDiv.style.display = 'block';
+    document.querySelector('#results h2').textContent = 'Preview';
+    document.getElementById('resultsContent').innerHTML = renderPreview(result) + extraHTML;
+  } else if (result.success) {
+    statusDiv.textContent = '✓ Upload completed successfully!';
+    statusDiv.className = 'status-message success';
+
+    // Show results
+    resultsDiv.style.display = 'block';
+    document.querySelector('#results h2').textContent = 'Upload Results';
+    document.getElementById('resultsContent').innerHTML = renderUploadResult(result) + extraHTML;
+  } else {
+    statusDiv.textContent = '✗ ' + result.message;
+    statusDiv.className = 'status-message error';
+
+    // Rolled back by the error policy: show the rows that caused it
+    const errorsHTML = renderConnectionOutcomes(result.databases) + renderErrorList(result.errors, result.rejectsFile) + extraHTML;
+    if (errorsHTML) {
+      resultsDiv.style.display = 'block';
+      document.querySelector('#results h2').textContent = 'Upload Results';
+      document.getElementById('resultsContent').innerHTML = errorsHTML;
+    }
+  }
+}
+
+// Show the results of an upload loaded as several jobs (one per sheet of
+// a workbook or per file of a ZIP archive)
+function showSheetResults(results, extraHTML) {
+  const statusDiv = document.getElementById('uploadStatus');
+  const resultsDiv = document.getElementById('results');
+  const failed = results.filter(entry => !entry.result.success);
+  const dryRun = results.every(entry => entry.result.dryRun);
+
+  if (failed.length === 0) {
+    statusDiv.textContent = `✓ ${results.length} loads ${dryRun ? 'previewed, nothing was written' : 'uploaded successfully'}`;
+    statusDiv.className = 'status-message success';
+  } else {
+    statusDiv.textContent = `✗ ${failed.length} of ${results.length} loads failed`;
+    statusDiv.className = 'status-message error';
+  }
+
+  let html = '';
+  results.forEach(({ fileName, tableName, result }) => {
+    html += `<h3>${escapeHtml(fileName)} → ${escapeHtml(tableName)}</h3>`;
+    if (!result.success) {
+      html += `<p class="status-message error">${escapeHtml(result.message)}</p>` + renderErrorList(result.errors, result.rejectsFile);
+    } else if (result.dryRun) {
+      html += renderPreview(result);
+    } else {
+      html += renderUploadResult(result);
+    }
+  });
+
+  resultsDiv.style.display = 'block';
+  document.querySelector('#results h2').textContent = dryRun ? 'Preview' : 'Upload Results';
+  document.getElementById('resultsContent').innerHTML = html + extraHTML;
+}
+
+async function uploadFile(dryRun) {
   const server = document.getElementById('server').value;
   const database = document.getElementById('database').value;
   const username = document.getElementById('username').value;
@@ -100,14 +442,14 @@ document.getElementById('uploadForm').addEventListener('submit', async (e) => {
   const csvFile = document.getElementById('csvFile').files[0];
 
   if (!csvFile) {
-    alert('Please select a CSV or XLSX file');
+    alert('Please select a file to upload');
     return;
   }
 
   // Validate file extension
   const fileName = csvFile.name.toLowerCase();
-  if (!fileName.endsWith('.csv') && !fileName.endsWith('.xlsx')) {
-    alert('Please select a valid CSV or XLSX file');
+  if (!UPLOAD_EXTENSIONS.some(ext => fileName.endsWith(ext))) {
+    alert(`Please select a supported file (${UPLOAD_EXTENSIONS.join(', ')})`);
     return;
   }
 
@@ -115,9 +457,12 @@ document.getElementById('uploadForm').addEventListener('submit', async (e) => {
   const progressBar = document.getElementById('progressBar');
   const resultsDiv = document.getElementById('results');
 
-  statusDiv.textContent = 'Uploading and processing...';
+  statusDiv.textContent = dryRun ? 'Previewing (nothing will be written)...' : 'Uploading and processing...';
   statusDiv.className = 'status-message info';
   progressBar.style.display = 'block';
+  progressBar.classList.add('indeterminate');
+  progressBar.querySelector('.progress-fill').style.width = '';
+  document.getElementById('progressText').textContent = '';
   resultsDiv.style.display = 'none';
 
   const formData = new FormData();
@@ -127,6 +472,15 @@ document.getElementById('uploadForm').addEventListener('submit', async (e) => {
   formData.append('username', username);
   formData.append('password', password);
   formData.append('port', port);
+  formData.append('errorPolicy', document.getElementById('errorPolicy').value);
+  formData.append('maxErrors', document.getElementById('maxErrors').value);
+  formData.append('maxErrorPercent', document.getElementById('maxErrorPercent').value);
+  formData.append('dryRun', dryRun ? 'true' : 'false');
+  formData.append('force', document.getElementById('force').checked ? 'true' : 'false');
+
+  const uploadedBy = document.getElementById('uploadedBy').value;
+  localStorage.setItem('uploadedBy', uploadedBy);
+  formData.append('uploadedBy', uploadedBy);
 
   try {
     const response = await fetch('/api/upload-csv', {
@@ -134,38 +488,130 @@ document.getElementById('uploadForm').addEventListener('submit', async (e) => {
       body: formData
     });
 
-    const result = await response.json();
+    const queued = await response.json();
+
+    // A multi-sheet workbook is queued as one job per sheet, a ZIP archive
+    // as one per file
+    const results = [];
+    if (queued.success) {
+      for (const job of queued.jobs) {
+        results.push({ ...job, result: await waitForJob(job.jobId, statusDiv) });
+      }
+    }
     progressBar.style.display = 'none';
 
-    if (result.success) {
-      statusDiv.textContent = '✓ Upload completed successfully!';
-      statusDiv.className = 'status-message success';
+    const notLoadedHTML = renderNotLoaded(queued);
+    if (results.length > 1) {
+      showSheetResults(results, notLoadedHTML);
+    } else {
+      showUploadResult(results.length === 1 ? results[0].result : queued, notLoadedHTML);
+    }
+  } catch (error) {
+    progressBar.style.display = 'none';
+    statusDiv.textContent = '✗ Error: ' + error.message;
+    statusDiv.className = 'status-message error';
+  }
+}
 
-      // Show results
-      resultsDiv.style.display = 'block';
-      let resultsHTML = `
-        <p><strong>Date Range:</strong> ${result.dateRange || 'N/A'}</p>
-        <p><strong>Total Rows:</strong> ${result.totalRows}</p>
-        <p><strong>Successfully Inserted:</strong> ${result.successCount}</p>
-        <p><strong>Errors:</strong> ${result.errorCount}</p>
-      `;
-
-      if (result.errors && result.errors.length > 0) {
-        resultsHTML += '<div class="error-list"><strong>Error Details (first 10):</strong>';
-        result.errors.forEach(err => {
-          resultsHTML += `<div class="error-item">Row ${err.row}: ${err.error}</div>`;
-        });
-        resultsHTML += '</div>';
-      }
+document.getElementById('uploadForm').addEventListener('submit', (e) => {
+  e.preventDefault();
+  uploadFile(false);
+});
+
+async function loadHistory() {
+  const params = new URLSearchParams();
+  const filters = {
+    fileName: 'historyFileName',
+    table: 'historyTable',
+    status: 'historyStatus',
+    source: 'historySource',
+    from: 'historyFrom',
+    to: 'historyTo'
+  };
+  Object.keys(filters).forEach(key => {
+    const value = document.getElementById(filters[key]).value;
+    if (value) params.append(key, value);
+  });
+
+  const historyDiv = document.getElementById('historyResults');
+  historyDiv.textContent = 'Loading...';
+
+  try {
+    const response = await fetch(`/api/history?${params}`);
+    const result = await response.json();
+
+    if (!result.history) {
+      historyDiv.textContent = '✗ ' + result.message;
+      return;
+    }
+
+    let html = '';
+    result.errors.forEach(err => {
+      html += `<p class="status-message error">${escapeHtml(err.connection)}: ${escapeHtml(err.error)}</p>`;
+    });
+
+    if (result.history.length === 0) {
+      historyDiv.innerHTML = html + '<p>No uploads found</p>';
+      return;
+    }
+
+    const columns = ['StartedAt', 'FileName', 'Source', 'UserName', 'ConnectionName', 'TableName', 'WriteMode',
+      'DateFrom', 'DateTo', 'Stores', 'TotalRows', 'DeletedCount', 'InsertedCount', 'FailedCount', 'DurationMs',
+      'Status', 'ErrorMessage'];
+    html += '<table><thead><tr>' + columns.map(col => `<th>${col}</th>`).join('') + '<th></th></tr></thead><tbody>';
+    result.history.forEach(row => {
+      // Successful loads (not undo records) can be undone
+      const undoButton = row.Status === 'success' && row.WriteMode !== 'undo' && row.JobId
+        ? `<button type="button" class="btn btn-secondary" data-job-id="${escapeHtml(row.JobId)}" data-file-name="${escapeHtml(row.FileName)}">Undo</button>`
+        : '';
+      html += '<tr>' + columns.map(col => `<td>${escapeHtml(row[col])}</td>`).join('') + `<td>${undoButton}</td></tr>`;
+    });
+    html += '</tbody></table>';
+    historyDiv.innerHTML = html;
+    historyDiv.querySelectorAll('button[data-job-id]').forEach(button => {
+      button.addEventListener('click', () => undoJob(button.dataset.jobId, button.dataset.fileName));
+    });
+  } catch (error) {
+    historyDiv.textContent = '✗ Error: ' + error.message;
+  }
+}
+
+async function undoJob(jobId, fileName) {
+  if (!confirm(`Undo the load of ${fileName}? Its rows are removed and the rows it replaced are restored.`)) {
+    return;
+  }
+
+  const statusDiv = document.getElementById('undoStatus');
+  statusDiv.style.display = 'block';
+  statusDiv.className = 'status-message info';
+  statusDiv.textContent = 'Undoing...';
 
-      document.getElementById('resultsContent').innerHTML = resultsHTML;
+  try {
+    const response = await fetch(`/api/jobs/${encodeURIComponent(jobId)}/undo`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ uploadedBy: document.getElementById('uploadedBy').value })
+    });
+
+    const queued = await response.json();
+    const result = queued.success ? await waitForJob(queued.jobId, statusDiv) : queued;
+
+    if (result.success) {
+      const counts = result.databases.map(db => `${db.database}: ${db.removedCount} removed, ${db.restoredCount} restored`);
+      statusDiv.textContent = '✓ ' + result.message + ' (' + counts.join('; ') + ')';
+      statusDiv.className = 'status-message success';
+      loadHistory();
     } else {
       statusDiv.textContent = '✗ ' + result.message;
       statusDiv.className = 'status-message error';
     }
   } catch (error) {
-    progressBar.style.display = 'none';
     statusDiv.textContent = '✗ Error: ' + error.message;
     statusDiv.className = 'status-message error';
   }
+}
+
+document.getElementById('historyForm').addEventListener('submit', (e) => {
+  e.preventDefault();
+  loadHistory();
 });
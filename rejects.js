@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+const { numberText } = require('./valueParser');
+
+// Key under which the row transform keeps the original file row
+// (a Symbol, so it never shows up as a column)
+const RAW_ROW = Symbol('rawRow');
+
+// Columns appended to each rejected row. They are ignored when a rejects
+// file is uploaded again, so the file can be re-ingested after correction.
+const REJECT_COLUMNS = ['_REJECT_ROW', '_REJECT_COLUMN', '_REJECT_ERROR'];
+
+// Check if a file (by its headers) is a rejects file being re-ingested
+function isRejectsFile(headers) {
+  return headers.includes(REJECT_COLUMNS[0]);
+}
+
+// Rejects file name for a source file, e.g. sales.csv -> sales.csv.rejects.csv
+// (re-ingested rejects files keep their name)
+function rejectsFileName(fileName) {
+  return /\.rejects\.csv$/i.test(fileName) ? fileName : `${fileName}.rejects.csv`;
+}
+
+// Find the column named in a SQL Server error message, if any
+function failingColumn(err, columns) {
+  const message = (err && err.message) || '';
+
+  // e.g. "String or binary data would be truncated in table 'X', column 'Y'."
+  const quoted = message.match(/column '([^']+)'/i);
+  if (quoted) return quoted[1];
+
+  return columns.find(col => message.includes(`'${col}'`) || message.includes(`[${col}]`)) || '';
+}
+
+// Quote a value for CSV output
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = value.toString();
+  if (value instanceof Date) text = value.toISOString();
+  else if (typeof value === 'number') text = numberText(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Create a rejects collector writing to a temporary file. Rows are written
+// as they fail (original values + REJECT_COLUMNS); the file is only created
+// once the first row is rejected. A row rejected by several connections is
+// written once.
+function createRejectsWriter(tempPath) {
+  const written = new Set();
+  let fd = null;
+  let headers = null;
+
+  return {
+    get count() {
+      return written.size;
+    },
+
+    // rowNumber is the 1-based data row in the source file
+    add(rowNumber, rawRow, column, message) {
+      if (written.has(rowNumber)) return;
+      written.add(rowNumber);
+
+      if (fd === null) {
+        headers = Object.keys(rawRow || {}).filter(key => !REJECT_COLUMNS.includes(key));
+        fd = fs.openSync(tempPath, 'w');
+        fs.writeSync(fd, [...headers, ...REJECT_COLUMNS].map(csvValue).join(',') + '\r\n');
+      }
+
+      const values = headers.map(header => (rawRow ? rawRow[header] : ''));
+      const line = [...values, rowNumber, column, message].map(csvValue).join(',');
+      fs.writeSync(fd, line + '\r\n');
+    },
+
+    // Move the rejects file next to the (moved) source file.
+    // Returns the final path, or null when no rows were rejected.
+    finish(targetDir, sourceFileName) {
+      if (fd === null) return null;
+
+      fs.closeSync(fd);
+      fd = null;
+
+      const targetPath = path.join(targetDir, rejectsFileName(sourceFileName));
+      fs.renameSync(tempPath, targetPath);
+      return targetPath;
+    },
+
+    // Remove the temporary file without keeping it
+    discard() {
+      if (fd !== null) {
+        fs.closeSync(fd);
+        fd = null;
+      }
+      if (fs.existsSync(tempPath)) {
+        fs.unlinkSync(tempPath);
+      }
+    }
+  };
+}
+
+module.exports = {
+  RAW_ROW,
+  REJECT_COLUMNS,
+  isRejectsFile,
+  rejectsFileName,
+  failingColumn,
+  createRejectsWriter
+};
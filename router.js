@@ -0,0 +1,113 @@
+// Routing rules: decide which database connection(s) receive a file.
+//
+// Rules live in config.json under "routing.rules" and are evaluated in order.
+// The first rule whose "match" block fits the file wins, and the file is sent
+// to every connection listed in that rule (fan-out). A match block can check:
+//   - filePattern: glob (or list of globs) on the file name, e.g. "*accurate*"
+//   - table:       detected table name (or list of names)
+//   - headers:     header names that must all be present in the file
+// Empty/missing criteria always match, so a rule with "match": {} is a catch-all.
+//
+// Without a routing section, every enabled connection whose "filePattern"
+// matches the file name is used.
+
+// Convert a simple glob (* and ?) to a case-insensitive RegExp
+function globToRegExp(glob) {
+  const escaped = glob
+    .split('')
+    .map(ch => {
+      if (ch === '*') return '.*';
+      if (ch === '?') return '.';
+      return ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+// Normalize a string-or-array config value to an array
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// Check file name against one or more glob patterns
+function matchesFilePattern(fileName, patterns) {
+  const list = toList(patterns);
+  if (list.length === 0) return true;
+  return list.some(pattern => globToRegExp(pattern).test(fileName));
+}
+
+// Check whether a routing rule applies to the given file
+function ruleMatches(rule, fileInfo) {
+  const match = rule.match || {};
+
+  if (!matchesFilePattern(fileInfo.fileName, match.filePattern)) {
+    return false;
+  }
+
+  const tables = toList(match.table);
+  if (tables.length > 0 && !tables.includes(fileInfo.tableName)) {
+    return false;
+  }
+
+  const requiredHeaders = toList(match.headers);
+  if (requiredHeaders.length > 0) {
+    const headers = (fileInfo.headers || []).map(h => h.toString().trim());
+    if (!requiredHeaders.every(h => headers.includes(h.trim()))) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+// Resolve target connections for a file
+// fileInfo: { fileName, tableName, headers }
+// Returns { rule, connections } or throws when nothing can receive the file
+function resolveTargets(appConfig, fileInfo) {
+  const connections = (appConfig && appConfig.connections) || [];
+  const rules = appConfig && appConfig.routing && appConfig.routing.rules;
+
+  // No routing section: fall back to connection-level filePattern
+  if (!rules || rules.length === 0) {
+    const targets = connections.filter(conn =>
+      conn.enabled && matchesFilePattern(fileInfo.fileName, conn.filePattern || '*')
+    );
+
+    if (targets.length === 0) {
+      throw new Error(`No enabled connection matches file ${fileInfo.fileName}`);
+    }
+
+    return { rule: null, connections: targets };
+  }
+
+  const rule = rules.find(r => ruleMatches(r, fileInfo));
+  const ruleName = rule ? (rule.name || `#${rules.indexOf(rule) + 1}`) : null;
+
+  if (!rule) {
+    throw new Error(`No routing rule matches file ${fileInfo.fileName} (table: ${fileInfo.tableName})`);
+  }
+
+  const targetNames = toList(rule.connections);
+  if (targetNames.length === 0) {
+    throw new Error(`Routing rule ${ruleName} has no connections`);
+  }
+
+  const targets = targetNames.map(name => {
+    const conn = connections.find(c => c.name === name);
+    if (!conn) {
+      throw new Error(`Routing rule ${ruleName} refers to unknown connection: ${name}`);
+    }
+    if (!conn.enabled) {
+      throw new Error(`${name} is not enabled for ${fileInfo.tableName} (routing rule ${ruleName})`);
+    }
+    return conn;
+  });
+
+  return { rule: { ...rule, name: ruleName }, connections: targets };
+}
+
+module.exports = {
+  resolveTargets,
+  matchesFilePattern
+};
@@ -0,0 +1,288 @@
+const sql = require('mssql');
+const { loadSchemas, tableExists, buildCreateTableSql } = require('./tableManager');
+const { getColumnMetadata, columnDefinition } = require('./bulkLoader');
+const { LOAD_ID_COLUMN, loadTrackingStatements } = require('./loadTracking');
+const { connectWithRetry } = require('./uploader');
+
+// Size SQL Server reports for types declared without one
+const TYPE_DEFAULTS = {
+  decimal: '(18,0)',
+  numeric: '(18,0)',
+  datetime2: '(7)',
+  datetimeoffset: '(7)',
+  time: '(7)',
+  nvarchar: '(1)',
+  varchar: '(1)',
+  nchar: '(1)',
+  char: '(1)'
+};
+
+// Type part of a declared column, e.g. "BIGINT IDENTITY(1,1)" -> "BIGINT"
+function declaredType(declared) {
+  const match = declared.trim().match(/^\w+\s*(\([^)]*\))?/);
+  return match ? match[0] : declared.trim();
+}
+
+// Comparable form of a type, e.g. "NVARCHAR (50)" -> "nvarchar(50)", "DECIMAL" -> "decimal(18,0)"
+function typeKey(type) {
+  const match = declaredType(type).toLowerCase().replace(/\s+/g, '').match(/^(\w+)(\(.*\))?$/);
+  if (!match) return type.toLowerCase();
+  return match[1] + (match[2] || TYPE_DEFAULTS[match[1]] || '');
+}
+
+// Read a table's primary key and indexes from sys.indexes:
+// [{ name, primaryKey, unique, columns }]
+async function getIndexes(pool, tableName) {
+  const request = pool.request();
+  request.input('tableName', sql.NVarChar, tableName);
+  const result = await request.query(`
+    SELECT i.name AS indexName, i.is_primary_key AS isPrimaryKey, i.is_unique AS isUnique, c.name AS columnName
+    FROM sys.indexes i
+    JOIN sys.index_columns ic ON ic.object_id = i.object_id AND ic.index_id = i.index_id
+    JOIN sys.columns c ON c.object_id = ic.object_id AND c.column_id = ic.column_id
+    WHERE i.object_id = OBJECT_ID(@tableName) AND ic.is_included_column = 0
+    ORDER BY i.name, ic.key_ordinal
+  `);
+
+  const indexes = new Map();
+  result.recordset.forEach(row => {
+    if (!indexes.has(row.indexName)) {
+      indexes.set(row.indexName, { name: row.indexName, primaryKey: row.isPrimaryKey, unique: row.isUnique, columns: [] });
+    }
+    indexes.get(row.indexName).columns.push(row.columnName);
+  });
+  return [...indexes.values()];
+}
+
+// CREATE INDEX statement for a declared index, named like createTable does
+function createIndexSql(tableName, col) {
+  return `CREATE INDEX [idx_${col.toLowerCase()}] ON [${tableName}] ([${col}])`;
+}
+
+// SQL dropping a live index or primary key
+function dropIndexSql(tableName, index) {
+  return index.primaryKey
+    ? `ALTER TABLE [${tableName}] DROP CONSTRAINT [${index.name}]`
+    : `DROP INDEX [${index.name}] ON [${tableName}]`;
+}
+
+// SQL recreating a live index or primary key as it was
+function recreateIndexSql(tableName, index) {
+  const columns = index.columns.map(col => `[${col}]`).join(', ');
+  return index.primaryKey
+    ? `ALTER TABLE [${tableName}] ADD CONSTRAINT [${index.name}] PRIMARY KEY (${columns})`
+    : `CREATE ${index.unique ? 'UNIQUE ' : ''}INDEX [${index.name}] ON [${tableName}] (${columns})`;
+}
+
+// Compare one table in tableSchemas.json with the live database.
+// Returns { table, status, differences: [{ type, name, expected, actual, fix }] }
+// status: ok, drift, missingTable, or notDeclared (no columns in tableSchemas.json).
+// fix is the SQL that reconciles the difference, or a -- comment when the
+// change is left to a person (dropping columns or indexes).
+async function checkTableDrift(pool, tableName, schema) {
+  const differences = [];
+  const declaredColumns = schema.columns || {};
+  const primaryKey = schema.primaryKey || [];
+
+  if (Object.keys(declaredColumns).length === 0) {
+    return { table: tableName, status: 'notDeclared', differences };
+  }
+
+  if (!(await tableExists(pool, tableName))) {
+    const fix = [buildCreateTableSql(tableName, schema).trim()]
+      .concat((schema.indexes || []).map(col => createIndexSql(tableName, col)))
+      .concat(loadTrackingStatements(tableName));
+    differences.push({ type: 'missingTable', name: tableName, expected: 'table', actual: null, fix: fix.join('\nGO\n') });
+    return { table: tableName, status: 'missingTable', differences };
+  }
+
+  // Columns and types
+  const columnMeta = await getColumnMetadata(pool, tableName);
+  const indexes = await getIndexes(pool, tableName);
+  const livePrimaryKey = indexes.find(index => index.primaryKey);
+  const liveKeyColumns = livePrimaryKey ? livePrimaryKey.columns : [];
+  const keyChanged = liveKeyColumns.join(',') !== primaryKey.join(',');
+
+  // Statements of each fix, and the ALTER COLUMNs among them
+  // ({ statements, col, sql }), joined into diff.fix at the end
+  const fixStatements = new Map();
+  const alters = [];
+  const alterColumn = (statements, col, nullable) => {
+    const alterSql = `ALTER TABLE [${tableName}] ALTER COLUMN [${col}] ${declaredType(declaredColumns[col])} ${nullable ? 'NULL' : 'NOT NULL'}`;
+    statements.push(alterSql);
+    alters.push({ statements, col, sql: alterSql });
+  };
+
+  Object.entries(declaredColumns).forEach(([col, type]) => {
+    const meta = columnMeta[col];
+    if (!meta) {
+      differences.push({
+        type: 'missingColumn',
+        name: col,
+        expected: type,
+        actual: null,
+        fix: `ALTER TABLE [${tableName}] ADD [${col}] ${declaredType(type)} NULL`
+      });
+    } else if (typeKey(type) !== typeKey(columnDefinition(meta))) {
+      const diff = { type: 'typeMismatch', name: col, expected: declaredType(type), actual: columnDefinition(meta) };
+      const statements = [];
+      // Key columns are made NOT NULL here, not again for the primary key
+      alterColumn(statements, col, meta.nullable && !primaryKey.includes(col));
+      fixStatements.set(diff, statements);
+      differences.push(diff);
+    }
+  });
+
+  Object.keys(columnMeta)
+    .filter(col => !declaredColumns[col] && col !== LOAD_ID_COLUMN)
+    .forEach(col => {
+      differences.push({
+        type: 'extraColumn',
+        name: col,
+        expected: null,
+        actual: columnDefinition(columnMeta[col]),
+        fix: `-- [${col}] is not in tableSchemas.json: add it there, or ALTER TABLE [${tableName}] DROP COLUMN [${col}]`
+      });
+    });
+
+  // Undo load column (see loadTracking.js), added by migrations only
+  if (!columnMeta[LOAD_ID_COLUMN]) {
+    differences.push({
+      type: 'missingLoadTracking',
+      name: LOAD_ID_COLUMN,
+      expected: 'NVARCHAR(50)',
+      actual: null,
+      fix: loadTrackingStatements(tableName).join('\nGO\n')
+    });
+  }
+
+  // Primary key
+  let keyDiff = null;
+  if (keyChanged) {
+    keyDiff = {
+      type: 'primaryKey',
+      name: livePrimaryKey ? livePrimaryKey.name : `PK_${tableName}`,
+      expected: primaryKey,
+      actual: liveKeyColumns
+    };
+    const statements = [];
+    if (primaryKey.length > 0) {
+      // Key columns have to be NOT NULL before the constraint is added
+      // (new columns here; columns with a type change were altered above)
+      const altered = new Set(alters.map(alter => alter.col));
+      primaryKey
+        .filter(col => declaredColumns[col] && !altered.has(col) && (!columnMeta[col] || columnMeta[col].nullable))
+        .forEach(col => alterColumn(statements, col, false));
+      statements.push(`ALTER TABLE [${tableName}] ADD CONSTRAINT [PK_${tableName}] PRIMARY KEY (${primaryKey.map(col => `[${col}]`).join(', ')})`);
+    }
+    fixStatements.set(keyDiff, statements);
+    differences.push(keyDiff);
+  }
+
+  // SQL Server refuses ALTER COLUMN on a column a primary key or index
+  // depends on: those are dropped before the first ALTER of one of their
+  // columns and recreated after the last. A primary key being replaced is
+  // dropped there too, or else first thing in its own fix.
+  let keyDropped = false;
+  indexes.forEach(index => {
+    const touching = alters.filter(alter => index.columns.includes(alter.col));
+    if (touching.length === 0) return;
+
+    const first = touching[0];
+    first.statements.splice(first.statements.indexOf(first.sql), 0, dropIndexSql(tableName, index));
+    if (index.primaryKey && keyChanged) {
+      keyDropped = true;
+      return;
+    }
+    const last = touching[touching.length - 1];
+    last.statements.splice(last.statements.indexOf(last.sql) + 1, 0, recreateIndexSql(tableName, index));
+  });
+  if (keyDiff && livePrimaryKey && !keyDropped) {
+    fixStatements.get(keyDiff).unshift(dropIndexSql(tableName, livePrimaryKey));
+  }
+
+  fixStatements.forEach((statements, diff) => {
+    diff.fix = statements.join('\nGO\n');
+  });
+
+  // Indexes (one column each in tableSchemas.json)
+  const liveIndexes = indexes.filter(index => !index.primaryKey);
+  const declaredIndexes = schema.indexes || [];
+
+  declaredIndexes
+    .filter(col => !liveIndexes.some(index => index.columns.length === 1 && index.columns[0] === col))
+    .forEach(col => {
+      differences.push({ type: 'missingIndex', name: col, expected: [col], actual: null, fix: createIndexSql(tableName, col) });
+    });
+
+  liveIndexes
+    .filter(index => !(index.columns.length === 1 && declaredIndexes.includes(index.columns[0])))
+    .filter(index => index.columns.join(',') !== LOAD_ID_COLUMN)
+    .forEach(index => {
+      differences.push({
+        type: 'extraIndex',
+        name: index.name,
+        expected: null,
+        actual: index.columns,
+        fix: `-- Index [${index.name}] is not in tableSchemas.json: add it there, or DROP INDEX [${index.name}] ON [${tableName}]`
+      });
+    });
+
+  return { table: tableName, status: differences.length > 0 ? 'drift' : 'ok', differences };
+}
+
+// Check every table in tableSchemas.json (or only options.table) on each
+// connection. Returns { connections: [{ connection, tables }], errors, script }
+// where script is the reconcile SQL for all connections.
+async function checkDrift(connections, options = {}) {
+  const schemas = loadSchemas();
+  const tableNames = Object.keys(schemas).filter(name => !options.table || name === options.table);
+  const results = [];
+  const errors = [];
+
+  if (options.table && tableNames.length === 0) {
+    throw new Error(`No schema defined for table: ${options.table}`);
+  }
+
+  for (const conn of connections) {
+    let pool;
+    try {
+      pool = await connectWithRetry(conn, { retries: 1, log: () => {} });
+
+      const tables = [];
+      for (const tableName of tableNames) {
+        tables.push(await checkTableDrift(pool, tableName, schemas[tableName]));
+      }
+      results.push({ connection: conn.name, database: conn.database, tables });
+    } catch (err) {
+      errors.push({ connection: conn.name, error: err.message });
+    } finally {
+      if (pool) {
+        await pool.close();
+      }
+    }
+  }
+
+  return { connections: results, errors, script: buildReconcileScript(results) };
+}
+
+// Reconcile SQL for drift results, one section per connection
+function buildReconcileScript(results) {
+  const sections = results.map(result => {
+    const statements = result.tables
+      .flatMap(table => table.differences.map(diff => diff.fix));
+
+    const header = `-- ${result.connection} (${result.database})`;
+    if (statements.length === 0) {
+      return `${header}\n-- No drift`;
+    }
+    return [header, `USE [${result.database}]`, 'GO', ...statements.map(statement => `${statement}\nGO`)].join('\n');
+  });
+
+  return sections.join('\n\n') + '\n';
+}
+
+module.exports = {
+  checkTableDrift,
+  checkDrift
+};
@@ -0,0 +1,68 @@
+const { inferColumnType } = require('./schemaInference');
+
+// What to do with file columns the target table does not have
+// (tableSchemas.json -> schemaEvolution):
+//   ignore     skip them (default)
+//   fail       fail the load, listing the missing columns
+//   addColumn  ALTER TABLE ADD each one, with its type from "columns" in
+//              tableSchemas.json or inferred from the scanned values
+const SCHEMA_EVOLUTION_MODES = ['ignore', 'fail', 'addColumn'];
+
+// Values kept per column during the pre-scan for type inference
+const SAMPLE_VALUES = 200;
+
+// Resolve and validate the schema evolution mode for a table
+function resolveSchemaEvolution(tableName, schema) {
+  const mode = (schema && schema.schemaEvolution) || 'ignore';
+
+  if (!SCHEMA_EVOLUTION_MODES.includes(mode)) {
+    throw new Error(`Unknown schemaEvolution "${mode}" for ${tableName} (expected ${SCHEMA_EVOLUTION_MODES.join(', ')})`);
+  }
+
+  return mode;
+}
+
+// Column changes for addColumn: [{ column, type }]. A type declared in
+// tableSchemas.json wins over the inferred one; added columns are always
+// nullable, since existing rows have no value for them.
+function planColumnChanges(schema, unknownColumns, samples = {}) {
+  const declared = (schema && schema.columns) || {};
+
+  return unknownColumns.map(col => ({
+    column: col,
+    type: declared[col]
+      ? declared[col].replace(/\s+NOT\s+NULL\b/i, '').trim()
+      : inferColumnType(samples[col] || [])
+  }));
+}
+
+// Apply the schema evolution mode before a load. Returns the columns
+// added ([{ column, type }]); throws for "fail" when columns are missing.
+async function evolveSchema(pool, tableName, schema, tableColumns, scope, log) {
+  const mode = resolveSchemaEvolution(tableName, schema);
+  const unknownColumns = (scope.columns || []).filter(col => !tableColumns.includes(col));
+
+  if (unknownColumns.length === 0 || mode === 'ignore') {
+    return [];
+  }
+
+  if (mode === 'fail') {
+    throw new Error(`Columns missing from ${tableName}: ${unknownColumns.join(', ')} (schemaEvolution: fail)`);
+  }
+
+  const changes = planColumnChanges(schema, unknownColumns, scope.samples);
+  for (const change of changes) {
+    await pool.request().query(`ALTER TABLE [${tableName}] ADD [${change.column}] ${change.type} NULL`);
+    log(`Schema change: added column ${change.column} ${change.type} to ${tableName}`, 'WARN');
+  }
+
+  return changes;
+}
+
+module.exports = {
+  SCHEMA_EVOLUTION_MODES,
+  SAMPLE_VALUES,
+  resolveSchemaEvolution,
+  planColumnChanges,
+  evolveSchema
+};
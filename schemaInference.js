@@ -0,0 +1,327 @@
+const fs = require('fs');
+const path = require('path');
+const { createFileRowStream } = require('./fileReader');
+const { normalizeColumnName } = require('./tableManager');
+const { parseDate, numberText } = require('./valueParser');
+const { detectDialect, resolveDialect } = require('./csvDialect');
+
+// Rows read from a sample file
+const DEFAULT_SAMPLE_ROWS = 10000;
+
+// Where proposed tableSchemas.json entries are written for review
+const PROPOSAL_FOLDER = './proposed-schemas';
+
+// Signature headers put in the proposed detection profile
+const DETECTION_HEADERS = 8;
+
+// Column names that usually hold keys (ID, No_Faktur, KODE_BARANG, ...)
+const KEY_NAME_PATTERN = /(^|_)(id|no|nomor|number|code|kode|key)($|_)/i;
+
+// Numbers as written in the files: 1,234.50 (US), 1.234,50 (ID) or 1234.5
+const NUMBER_PATTERNS = [
+  /^-?(?<integer>\d{1,3}(,\d{3})+)(\.(?<fraction>\d+))?$/,
+  /^-?(?<integer>\d{1,3}(\.\d{3})+)(,(?<fraction>\d+))?$/,
+  /^-?(?<integer>\d+)([.,](?<fraction>\d+))?$/
+];
+
+// Most integer digits loaded exactly: values pass through JavaScript
+// numbers, so longer integers (16+ digit IDs) are kept as text
+const MAX_EXACT_DIGITS = 15;
+
+// Candidate keys listed in the inference report
+const MAX_KEY_CANDIDATES = 10;
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const ISO_DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?Z?$/;
+
+// Integer digits and scale of a number as written ({ integerDigits, scale }),
+// or null if the text is not a number. Values with a leading zero ("0012",
+// phone numbers) are codes, not numbers.
+function numberShape(text) {
+  if (/^-?0\d/.test(text)) return null;
+
+  const match = NUMBER_PATTERNS.map(pattern => text.match(pattern)).find(Boolean);
+  if (!match) return null;
+
+  return {
+    integerDigits: match.groups.integer.replace(/\D/g, '').length,
+    scale: (match.groups.fraction || '').length
+  };
+}
+
+// Empty profile for one column
+function createColumnProfile() {
+  return {
+    count: 0,
+    nullCount: 0,
+    maxLength: 0,
+    allNumber: true,
+    allInteger: true,
+    maxIntegerDigits: 0,
+    maxScale: 0,
+    allDate: true,
+    allDateTime: true,
+    allDigits: true
+  };
+}
+
+// Add one value to a column profile. With looseDates, dates in the formats
+// parseDate reads without a declared format ("25 Nov 2025", "25-11-2025")
+// count as dates; the column then has to be listed in dateColumns for the
+// loader to convert them. Digits alone (Kode_Pos 01234) are never dates,
+// loose or Excel serial.
+function addValue(profile, value, looseDates = false) {
+  let text = '';
+  if (value instanceof Date) text = value.toISOString();
+  else if (typeof value === 'number') text = numberText(value);
+  else if (value !== null && value !== undefined) text = value.toString().trim();
+
+  if (text === '') {
+    profile.nullCount++;
+    return;
+  }
+
+  profile.count++;
+  profile.maxLength = Math.max(profile.maxLength, text.length);
+
+  const digitsOnly = /^\+?\d+$/.test(text);
+  if (!digitsOnly) profile.allDigits = false;
+
+  const number = profile.allNumber ? numberShape(text) : null;
+  if (!number) {
+    profile.allNumber = false;
+  } else {
+    profile.maxIntegerDigits = Math.max(profile.maxIntegerDigits, number.integerDigits);
+    profile.maxScale = Math.max(profile.maxScale, number.scale);
+    if (number.scale > 0) profile.allInteger = false;
+  }
+
+  const isoDate = looseDates && !digitsOnly ? parseDate(text).value : text;
+  const isDate = ISO_DATE_PATTERN.test(isoDate) && !isNaN(Date.parse(isoDate));
+  const isDateTime = ISO_DATETIME_PATTERN.test(text) && !isNaN(Date.parse(text));
+  if (!isDate) profile.allDate = false;
+  if (!isDate && !isDateTime) profile.allDateTime = false;
+}
+
+// NVARCHAR with headroom over the longest value seen
+function textType(maxLength) {
+  const length = Math.max(50, Math.ceil((maxLength * 2) / 50) * 50);
+  return length > 4000 ? 'NVARCHAR(MAX)' : `NVARCHAR(${length})`;
+}
+
+// SQL type for a column profile
+function profileType(profile) {
+  if (profile.count === 0) return textType(0);
+
+  if (profile.allNumber && profile.allInteger) {
+    if (profile.maxIntegerDigits <= 9) return 'INT';
+    if (profile.maxIntegerDigits <= MAX_EXACT_DIGITS) return 'BIGINT';
+  } else if (profile.allNumber) {
+    // Two extra integer digits for larger values than the ones seen
+    const precision = Math.min(38, profile.maxIntegerDigits + profile.maxScale + 2);
+    return `DECIMAL(${precision},${profile.maxScale})`;
+  }
+
+  if (profile.allDate) return 'DATE';
+  if (profile.allDateTime) return 'DATETIME2';
+
+  return textType(profile.maxLength);
+}
+
+// Infer a SQL type from a list of values (ISO dates only)
+function inferColumnType(values) {
+  const profile = createColumnProfile();
+  values.forEach(value => addValue(profile, value));
+  return profileType(profile);
+}
+
+// Default table name for a sample file, e.g. "snj srp detail.csv" -> SNJ_SRP_DETAIL
+function tableNameFromFile(fileName) {
+  return normalizeColumnName(path.basename(fileName, path.extname(fileName))).toUpperCase();
+}
+
+// Check if a set of columns is filled and unique in every sampled row
+function isUniqueKey(rows, columns) {
+  const seen = new Set();
+  for (const row of rows) {
+    const values = columns.map(col => row[col]);
+    if (values.some(value => value === undefined || value === null || value.toString().trim() === '')) {
+      return false;
+    }
+    const key = JSON.stringify(values);
+    if (seen.has(key)) return false;
+    seen.add(key);
+  }
+  return rows.length > 0;
+}
+
+// Columns (or pairs of columns) unique in the sample, key-like names first
+function findKeyCandidates(rows, columns, profiles) {
+  const filled = columns
+    .filter(col => profiles[col].nullCount === 0 && profiles[col].count > 0)
+    .sort((a, b) => KEY_NAME_PATTERN.test(b) - KEY_NAME_PATTERN.test(a));
+
+  const singles = filled.filter(col => isUniqueKey(rows, [col])).map(col => [col]);
+  if (singles.length > 0) return singles;
+
+  // No single key: try pairs of the first few filled columns
+  const pairColumns = filled.slice(0, 12);
+  const pairs = [];
+  pairColumns.forEach((first, i) => {
+    pairColumns.slice(i + 1).forEach(second => {
+      if (isUniqueKey(rows, [first, second])) pairs.push([first, second]);
+    });
+  });
+  return pairs;
+}
+
+// Infer a tableSchemas.json entry from a sample file. Headers are normalized
+// the same way as on upload. Keys derived from the sample (columns,
+// columnMapping, numericColumns, dateColumns, identifierColumns, primaryKey,
+// indexes) replace those of an existing entry; its other settings
+// (writeMode, scope, detection, ...) are kept.
+// Returns { tableName, entry, keyCandidates, rowsSampled, columns }
+async function inferTableSchema(file, tableName, existing = null, options = {}) {
+  const maxRows = options.maxRows || DEFAULT_SAMPLE_ROWS;
+  const headers = [];
+  const rows = [];
+
+  // The existing entry's csv overrides and fixedWidth layout apply to its
+  // sample files too
+  let sample = file;
+  if (file.fileType === 'csv' && existing && existing.fixedWidth) {
+    sample = { ...file, fileType: 'fixedWidth', layout: existing.fixedWidth };
+  } else if (file.fileType === 'csv' && existing && existing.csv) {
+    sample = { ...file, dialect: resolveDialect(detectDialect(file.filePath), existing.csv) };
+  }
+
+  for await (const rawRow of createFileRowStream(sample)) {
+    Object.keys(rawRow).forEach(header => {
+      if (!headers.includes(header)) headers.push(header);
+    });
+    rows.push(rawRow);
+    if (rows.length >= maxRows) break;
+  }
+
+  if (rows.length === 0) {
+    throw new Error('Sample file has no data rows');
+  }
+
+  // Normalized column name per header (duplicates get _2, _3, ...)
+  const columnFor = {};
+  const used = new Set();
+  headers.forEach(header => {
+    const base = normalizeColumnName(header);
+    if (!base) return;
+
+    let col = base;
+    for (let n = 2; used.has(col.toLowerCase()); n++) col = `${base}_${n}`;
+    used.add(col.toLowerCase());
+    columnFor[header] = col;
+  });
+
+  const mappedHeaders = headers.filter(header => columnFor[header]);
+  const columnNames = mappedHeaders.map(header => columnFor[header]);
+  const mappedRows = rows.map(row => {
+    const mapped = {};
+    mappedHeaders.forEach(header => { mapped[columnFor[header]] = row[header]; });
+    return mapped;
+  });
+
+  const profiles = {};
+  columnNames.forEach(col => { profiles[col] = createColumnProfile(); });
+  mappedRows.forEach(row => {
+    columnNames.forEach(col => addValue(profiles[col], row[col], true));
+  });
+
+  const columns = {};
+  columnNames.forEach(col => { columns[col] = profileType(profiles[col]); });
+
+  // Only key-like names are proposed as primary key; other unique columns
+  // are listed in the report
+  const keyCandidates = findKeyCandidates(mappedRows, columnNames, profiles).slice(0, MAX_KEY_CANDIDATES);
+  const primaryKey = keyCandidates.find(key => key.every(col => KEY_NAME_PATTERN.test(col))) || [];
+
+  const numericColumns = columnNames.filter(col => /^(INT|BIGINT|DECIMAL)/.test(columns[col]));
+  const dateColumns = columnNames.filter(col => /^(DATE|DATETIME2)/.test(columns[col]));
+  // Digits kept as text: leading zeros, phone numbers (+62...), 16+ digit IDs
+  const identifierColumns = columnNames.filter(col => profiles[col].count > 0 && profiles[col].allDigits && /^NVARCHAR/.test(columns[col]));
+
+  // Headers that normalize to themselves need no mapping
+  const needsMapping = mappedHeaders.some(header => header !== columnFor[header]);
+  const columnMapping = {};
+  if (needsMapping) {
+    mappedHeaders.forEach(header => { columnMapping[header] = columnFor[header]; });
+  }
+
+  const signature = mappedHeaders.slice(0, DETECTION_HEADERS);
+  const inferred = {
+    columns,
+    primaryKey,
+    indexes: dateColumns.slice(0, 1),
+    columnMapping,
+    numericColumns,
+    dateColumns,
+    identifierColumns,
+    writeMode: 'append',
+    detection: {
+      filePatterns: [],
+      requiredHeaders: primaryKey.length > 0 ? [mappedHeaders[columnNames.indexOf(primaryKey[0])]] : [],
+      headers: signature,
+      minScore: Math.min(3, signature.length)
+    }
+  };
+
+  const entry = { ...inferred };
+  if (existing) {
+    const inferredKeys = ['columns', 'primaryKey', 'indexes', 'columnMapping', 'numericColumns', 'dateColumns', 'identifierColumns'];
+    Object.keys(existing)
+      .filter(key => !inferredKeys.includes(key))
+      .forEach(key => { entry[key] = existing[key]; });
+  }
+
+  return {
+    tableName,
+    entry,
+    keyCandidates,
+    rowsSampled: rows.length,
+    columns: columnNames.map(col => ({
+      column: col,
+      header: mappedHeaders[columnNames.indexOf(col)],
+      type: columns[col],
+      filled: profiles[col].count,
+      empty: profiles[col].nullCount,
+      maxLength: profiles[col].maxLength
+    }))
+  };
+}
+
+// Write a proposed entry as { "<TABLE>": entry } to PROPOSAL_FOLDER/<TABLE>.json,
+// ready to be reviewed and copied into tableSchemas.json. Returns the path.
+// The table name becomes the file name, so it is limited to letters,
+// digits and underscores.
+function writeProposal(tableName, entry) {
+  if (!/^[A-Za-z0-9_]+$/.test(tableName)) {
+    throw new Error(`Invalid table name "${tableName}" (use letters, digits and _ only)`);
+  }
+
+  const folder = path.resolve(PROPOSAL_FOLDER);
+  const proposalPath = path.join(PROPOSAL_FOLDER, `${tableName}.json`);
+  if (path.dirname(path.resolve(proposalPath)) !== folder) {
+    throw new Error(`Proposal for ${tableName} would be written outside ${PROPOSAL_FOLDER}`);
+  }
+
+  if (!fs.existsSync(PROPOSAL_FOLDER)) {
+    fs.mkdirSync(PROPOSAL_FOLDER, { recursive: true });
+  }
+
+  fs.writeFileSync(proposalPath, JSON.stringify({ [tableName]: entry }, null, 2));
+  return proposalPath;
+}
+
+module.exports = {
+  inferColumnType,
+  tableNameFromFile,
+  inferTableSchema,
+  writeProposal
+};
@@ -1,11 +1,22 @@
 const express = require('express');
 const multer = require('multer');
 const sql = require('mssql');
-const csv = require('csv-parser');
-const xlsx = require('xlsx');
 const fs = require('fs');
 const path = require('path');
-const { startWatcher } = require('./fileWatcher-ini');
+const { startWatcher } = require('./fileWatcher');
+const { resolveTargets } = require('./router');
+const { detectTableName, loadSchemas } = require('./tableManager');
+const { detectFileType, hashFile } = require('./fileReader');
+const { connectWithRetry, scanFile, uploadToDatabase, previewUpload, undoUpload } = require('./uploader');
+const { createRejectsWriter } = require('./rejects');
+const { jobEvents, configureQueue, submitJob, getJob, listJobs } = require('./jobQueue');
+const { queryHistory, findLoad } = require('./audit');
+const { tableNameFromFile, inferTableSchema, writeProposal } = require('./schemaInference');
+const { checkDrift } = require('./schemaDrift');
+const { runMigrations } = require('./migrations');
+const { sheetFileName, resolveLoads } = require('./workbook');
+const { describeDialect } = require('./csvDialect');
+const { expandZip } = require('./archive');
 
 // Load config for multi-database support
 let appConfig;
@@ -24,6 +35,7 @@ function loadConfig() {
 
 // Load config on startup
 loadConfig();
+configureQueue(appConfig && appConfig.jobs);
 
 const app = express();
 const PORT = 3000;
@@ -44,6 +56,41 @@ if (!fs.existsSync('uploads')) {
   fs.mkdirSync('uploads');
 }
 
+// Rejects files from web uploads go to the same folder as the watcher's failed files
+function rejectsFolder() {
+  const folder = (appConfig && appConfig.autoUpload && appConfig.autoUpload.failedFolder) || './failed';
+  if (!fs.existsSync(folder)) {
+    fs.mkdirSync(folder, { recursive: true });
+  }
+  return folder;
+}
+
+// Delete an uploaded file once the last job reading it (one per sheet of a
+// workbook) is done with it
+function releaseUpload(file) {
+  // Finished jobs are kept for a while; let go of the parsed workbook
+  file.workbook = null;
+  file.readers.count--;
+  if (file.readers.count === 0 && fs.existsSync(file.filePath)) {
+    fs.unlinkSync(file.filePath);
+  }
+}
+
+// Move the rejects file (if any rows failed), returning its file name
+function finishRejects(rejects, fileName) {
+  try {
+    const rejectsPath = rejects.finish(rejectsFolder(), fileName);
+    if (rejectsPath) {
+      console.log(`${rejects.count} rejected rows written to: ${rejectsPath}`);
+      return path.basename(rejectsPath);
+    }
+  } catch (err) {
+    console.error(`Could not write rejects file: ${err.message}`);
+    rejects.discard();
+  }
+  return null;
+}
+
 // Test database connection (now supports config-based connections)
 app.post('/api/test-connection', async (req, res) => {
   const { server, database, username, password, port } = req.body;
@@ -109,372 +156,337 @@ app.post('/api/test-connection', async (req, res) => {
   }
 });
 
-// Detect table name from filename or data (same as fileWatcher)
-function detectTableName(fileName, data) {
-  const lowerFileName = fileName.toLowerCase();
-  
-  if (lowerFileName.includes('accurate') || lowerFileName.includes('invoice')) {
-    return 'SALES_INVOICE_ACCURATE_ONLINE';
-  }
-  
-  if (lowerFileName.includes('snj') || lowerFileName.includes('srp')) {
-    return 'SNJ_SRP_DETAIL';
-  }
-  
-  if (data.length > 0) {
-    const firstRow = data[0];
-    const columns = Object.keys(firstRow);
-    
-    if (columns.includes('No. Faktur') || columns.includes('Tanggal')) {
-      return 'SALES_INVOICE_ACCURATE_ONLINE';
-    }
-    
-    if (columns.includes('BILL_NO') || columns.includes('SALES_DATE')) {
-      return 'SNJ_SRP_DETAIL';
-    }
-  }
-  
-  return 'SNJ_SRP_DETAIL';
-}
+// Per-request error policy from the upload form (empty = table default)
+function errorPolicyFromRequest(body) {
+  if (!body.errorPolicy) return null;
+  if (body.errorPolicy !== 'threshold') return body.errorPolicy;
 
-// Connect with retry (same as fileWatcher)
-async function connectWithRetry(connConfig, retries = 3) {
-  const sqlConfig = {
-    server: connConfig.server,
-    database: connConfig.database,
-    user: connConfig.username,
-    password: connConfig.password,
-    port: parseInt(connConfig.port) || 1433,
-    options: {
-      encrypt: true,
-      trustServerCertificate: true,
-      enableArithAbort: true
-    }
+  return {
+    mode: 'threshold',
+    maxErrors: body.maxErrors,
+    maxErrorPercent: body.maxErrorPercent
   };
+}
 
-  for (let attempt = 1; attempt <= retries; attempt++) {
-    try {
-      console.log(`Connecting to ${connConfig.name} (attempt ${attempt}/${retries})...`);
-      const pool = await sql.connect(sqlConfig);
-      console.log(`Connected to ${connConfig.name} successfully`);
-      return pool;
-    } catch (err) {
-      console.error(`Connection attempt ${attempt} failed: ${err.message}`);
-      
-      if (attempt === retries) {
-        throw new Error(`Failed to connect after ${retries} attempts: ${err.message}`);
-      }
-      
-      await new Promise(resolve => setTimeout(resolve, 2000));
+// Run a queued upload job: pre-scan, then preview or load each target database.
+// Returns the upload result; on failure the partial result is attached as err.result.
+async function runUploadJob(job, { file, fileName, tableName, targetConnections, body, userName }) {
+  let totalSuccessCount = 0;
+  let totalErrorCount = 0;
+  const allErrors = [];
+  const uploadResults = [];
+  const rejects = createRejectsWriter(`${file.filePath}.${file.sheetIndex}.rejects.tmp`);
+
+  // Log to the console and to the job's live log
+  const log = (message, level = 'INFO') => {
+    if (level === 'ERROR') {
+      console.error(message);
+    } else {
+      console.log(message);
     }
-  }
-}
+    job.log(message, level);
+  };
 
-// Upload data to database (same logic as fileWatcher)
-async function uploadToDatabase(connConfig, data, tableName) {
-  let pool;
-  
   try {
-    // Connect with retry
-    pool = await connectWithRetry(connConfig, 3);
-
-    // Get table schema
-    const schemaQuery = `
-      SELECT COLUMN_NAME, DATA_TYPE 
-      FROM INFORMATION_SCHEMA.COLUMNS 
-      WHERE TABLE_NAME = @tableName
-    `;
-    const schemaRequest = pool.request();
-    schemaRequest.input('tableName', sql.NVarChar, tableName);
-    const schemaResult = await schemaRequest.query(schemaQuery);
-    const columnTypes = {};
-    schemaResult.recordset.forEach(col => {
-      columnTypes[col.COLUMN_NAME] = col.DATA_TYPE;
-    });
+    if (file.dialect) {
+      log(`CSV dialect: ${describeDialect(file.dialect)}`);
+    }
 
-    // Find date range and stores
-    let minDate = null;
-    let maxDate = null;
-    const stores = new Set();
-    
-    data.forEach(row => {
-      if (row.SALES_DATE || row.Tanggal) {
-        let dateStr = (row.SALES_DATE || row.Tanggal).toString();
-        
-        // Fix date format: convert DD-MM-YYYY to YYYY-MM-DD
-        if (dateStr.match(/^\d{2}-\d{2}-\d{4}$/)) {
-          const parts = dateStr.split('-');
-          dateStr = `${parts[2]}-${parts[1]}-${parts[0]}`;
-        }
-        
-        if (!minDate || dateStr < minDate) minDate = dateStr;
-        if (!maxDate || dateStr > maxDate) maxDate = dateStr;
-      }
-      
-      // Collect unique stores
-      if (tableName === 'SNJ_SRP_DETAIL' && row.ORG_CODE_NAME) {
-        stores.add(row.ORG_CODE_NAME);
-      } else if (tableName === 'SALES_INVOICE_ACCURATE_ONLINE' && row.Gudang) {
-        stores.add(row.Gudang);
+    // Pre-scan for row count and delete scope (date range + stores)
+    job.update({ phase: 'scanning', connectionsTotal: targetConnections.length, connectionsDone: 0 });
+    const scope = await scanFile(file, tableName, progress => job.update(progress));
+    log(`Scanned ${scope.rowCount} rows from file`);
+    job.update({ totalRows: scope.rowCount });
+
+    const loadOptions = {
+      scope,
+      batchSize: appConfig && appConfig.bulkInsert && appConfig.bulkInsert.batchSize,
+      errorPolicy: errorPolicyFromRequest(body),
+      // Web uploads of an already loaded file fail unless "force" is ticked
+      duplicates: 'reject',
+      force: body.force === 'true',
+      rejects,
+      onProgress: progress => job.update(progress),
+      log,
+      audit: {
+        jobId: job.id,
+        fileName,
+        fileHash: await hashFile(file.filePath, file.sheet),
+        source: 'web',
+        userName
       }
-    });
+    };
 
-    const storeList = Array.from(stores);
-    console.log(`Date range: ${minDate || 'N/A'} to ${maxDate || 'N/A'}`);
-    console.log(`Stores: ${storeList.length > 0 ? storeList.join(', ') : 'N/A'}`);
+    // Dry run: preview each target database, nothing is written
+    if (body.dryRun === 'true') {
+      const previews = [];
+      for (const conn of targetConnections) {
+        log(`Previewing ${conn.name}...`);
+        job.update({ phase: 'previewing', connection: conn.name });
+        previews.push({ database: conn.name, ...await previewUpload(conn, file, tableName, loadOptions) });
+      }
 
-    // Start transaction
-    const transaction = new sql.Transaction(pool);
-    await transaction.begin();
+      releaseUpload(file);
+      return {
+        success: true,
+        dryRun: true,
+        message: 'Dry run completed, nothing was written',
+        tableName,
+        totalRows: scope.rowCount,
+        databases: previews
+      };
+    }
 
-    try {
-      // Delete existing data by date AND store
-      if (minDate && maxDate) {
-        const dateColumn = tableName === 'SALES_INVOICE_ACCURATE_ONLINE' ? 'Tanggal' : 'SALES_DATE';
-        const storeColumn = tableName === 'SALES_INVOICE_ACCURATE_ONLINE' ? 'Gudang' : 'ORG_CODE_NAME';
-        
-        let deleteQuery;
-        const deleteRequest = new sql.Request(transaction);
-        deleteRequest.input('minDate', sql.Date, minDate);
-        deleteRequest.input('maxDate', sql.Date, maxDate);
+    // Upload to each target database. Each connection loads in its own
+    // transaction, so a failure on one does not undo the others: every
+    // connection is tried and its outcome reported in databases (status
+    // loaded, skipped, alreadyLoaded or failed). Uploading the same file
+    // again skips the connections that already have it.
+    let duplicateError = null;
+    for (const conn of targetConnections) {
+      log(`Uploading to ${conn.name}...`);
+      job.update({
+        phase: 'loading',
+        connection: conn.name,
+        batch: 0,
+        rowsProcessed: 0,
+        successCount: 0,
+        errorCount: 0,
+        deletedCount: 0
+      });
+      
+      try {
+        const result = await uploadToDatabase(conn, file, tableName, loadOptions);
+        uploadResults.push({
+          database: conn.name,
+          success: true,
+          status: result.skipped ? 'skipped' : 'loaded',
+          ...result
+        });
+        totalSuccessCount += result.successCount;
+        totalErrorCount += result.errorCount;
+        allErrors.push(...result.errors);
         
-        if (storeList.length > 0) {
-          const storePlaceholders = storeList.map((_, idx) => `@store${idx}`).join(', ');
-          deleteQuery = `
-            DELETE FROM [${tableName}]
-            WHERE [${dateColumn}] BETWEEN @minDate AND @maxDate
-              AND [${storeColumn}] IN (${storePlaceholders})
-          `;
-          
-          storeList.forEach((store, idx) => {
-            deleteRequest.input(`store${idx}`, sql.NVarChar, store);
+        if (!result.skipped) {
+          log(`✓ ${conn.name}: ${result.successCount} rows inserted`, 'SUCCESS');
+        }
+      } catch (err) {
+        if (err.duplicateOf) {
+          log(`${conn.name}: ${err.message}`, 'WARN');
+          duplicateError = err;
+          uploadResults.push({
+            database: conn.name,
+            success: true,
+            status: 'alreadyLoaded',
+            skipped: true,
+            duplicateOf: err.duplicateOf
           });
-          
-          console.log(`Deleting data for stores: ${storeList.join(', ')}`);
         } else {
-          deleteQuery = `
-            DELETE FROM [${tableName}]
-            WHERE [${dateColumn}] BETWEEN @minDate AND @maxDate
-          `;
-          console.log(`Deleting data by date only (no store filter)`);
+          log(`✗ ${conn.name} failed: ${err.message}`, 'ERROR');
+          uploadResults.push({
+            database: conn.name,
+            success: false,
+            status: 'failed',
+            error: err.message
+          });
+          // Rolled back by the error policy: report the rows that caused it
+          if (err.stats) {
+            totalErrorCount += err.stats.errorCount;
+            allErrors.push(...err.stats.errors);
+          }
         }
-        
-        const deleteResult = await deleteRequest.query(deleteQuery);
-        console.log(`Deleted ${deleteResult.rowsAffected[0]} existing rows`);
       }
+      job.update({ connectionsDone: uploadResults.length });
+    }
 
-      // Insert new data
-      let successCount = 0;
-      let errorCount = 0;
-      const errors = [];
+    // Already loaded everywhere: reject as a duplicate, as before any load
+    if (uploadResults.length > 0 && duplicateError && uploadResults.every(result => result.status === 'alreadyLoaded')) {
+      throw duplicateError;
+    }
 
-      for (let i = 0; i < data.length; i++) {
-        const row = data[i];
-        
-        try {
-          const allColumns = Object.keys(row);
-          const allValues = Object.values(row);
-
-          // Filter only columns that exist in database
-          const validColumns = [];
-          const validValues = [];
-          
-          allColumns.forEach((col, idx) => {
-            if (columnTypes[col]) {
-              validColumns.push(col);
-              validValues.push(allValues[idx]);
-            } else if (i === 0) {
-              console.log(`Skipping unknown column: ${col}`);
-            }
-          });
+    const failed = uploadResults.filter(result => !result.success);
+    if (failed.length > 0) {
+      const loaded = uploadResults.filter(result => result.success).map(result => result.database);
+      const note = loaded.length > 0
+        ? ` (${loaded.join(', ')} done; uploading the same file again only loads the failed connection(s))`
+        : '';
+      throw new Error(failed.map(result => `Upload to ${result.database} failed: ${result.error}`).join('; ') + note);
+    }
 
-          if (validColumns.length === 0) {
-            console.log(`Row ${i + 1}: No valid columns found, skipping`);
-            continue;
-          }
+    // Clean up uploaded file
+    releaseUpload(file);
+    const rejectsFile = finishRejects(rejects, fileName);
 
-          const columnNames = validColumns.map(col => `[${col}]`).join(', ');
-          const placeholders = validColumns.map((_, idx) => `@param${idx}`).join(', ');
-          
-          const query = `INSERT INTO [${tableName}] (${columnNames}) VALUES (${placeholders})`;
-          const request = new sql.Request(transaction);
-          
-          validColumns.forEach((col, idx) => {
-            let value = validValues[idx];
-            const sqlType = columnTypes[col];
-            
-            if (value === null || value === undefined || value === '') {
-              request.input(`param${idx}`, sql.NVarChar, null);
-              return;
-            }
-            
-            if (sqlType && (sqlType.includes('int') || sqlType.includes('numeric') || sqlType.includes('decimal') || sqlType.includes('float'))) {
-              let numValue;
-              if (typeof value === 'number' || /[eE][+-]?\d+/.test(value.toString())) {
-                numValue = Number(value);
-              } else {
-                numValue = parseFloat(value.toString().replace(/[^0-9.-]/g, ''));
-              }
-              request.input(`param${idx}`, sql.Numeric, isNaN(numValue) ? null : numValue);
-            } else {
-              let stringValue = value.toString();
-              if (typeof value === 'number' || /[eE][+-]?\d+/.test(stringValue)) {
-                const num = Number(value);
-                if (!isNaN(num)) {
-                  stringValue = num.toFixed(0);
-                }
-              }
-              request.input(`param${idx}`, sql.NVarChar, stringValue);
-            }
-          });
+    return {
+      success: true,
+      message: 'Upload completed',
+      totalRows: scope.rowCount,
+      dateRange: uploadResults.length > 0 ? uploadResults[0].dateRange : null,
+      totalSuccessCount,
+      totalErrorCount,
+      databases: uploadResults,
+      errors: allErrors.slice(0, 10),
+      rejectsFile
+    };
 
-          await request.query(query);
-          successCount++;
-        } catch (err) {
-          errorCount++;
-          errors.push({ row: i + 1, error: err.message, data: row });
-          console.error(`Row ${i + 1} error: ${err.message}`);
-        }
-      }
+  } catch (err) {
+    console.error('Upload error:', err);
+    
+    // Clean up uploaded file
+    releaseUpload(file);
+    const rejectsFile = finishRejects(rejects, fileName);
+
+    err.result = {
+      success: false,
+      message: err.message,
+      totalSuccessCount,
+      totalErrorCount,
+      databases: uploadResults,
+      errors: allErrors.slice(0, 10),
+      rejectsFile
+    };
+    throw err;
+  }
+}
 
-      await transaction.commit();
-      console.log(`Upload completed: ${successCount} success, ${errorCount} errors`);
+// Detect the loads in one uploaded file (one per matched sheet of a
+// workbook), route them and queue a job for each.
+// Returns { jobs: [{ jobId, fileName, sheet, tableName, state }],
+//           unmatchedSheets: [{ fileName, sheet, reason }] }
+async function queueUploadedFile(filePath, fileType, fileName, req) {
+  // Detect the table of each sheet from detection profiles in tableSchemas.json
+  const { loads, unmatchedSheets } = await resolveLoads({ filePath, fileType }, fileName);
+  unmatchedSheets.forEach(unmatched => console.log(`Sheet ${unmatched.sheet} not loaded: ${unmatched.reason}`));
 
-      return { 
-        success: true, 
-        successCount, 
-        errorCount, 
-        dateRange: `${minDate || 'N/A'} to ${maxDate || 'N/A'}`,
-        stores: storeList,
-        errors: errors.slice(0, 10)
-      };
+  // Determine target databases for every load before queueing any of them
+  const targets = loads.map(({ sheet, tableName, headers }) => {
+    console.log(`Detected table: ${tableName}${sheet ? ` (sheet ${sheet})` : ''}`);
 
-    } catch (err) {
-      await transaction.rollback();
-      throw err;
+    if (appConfig && appConfig.connections) {
+      // Config-based multi-database, routed by config.routing rules
+      const { rule, connections } = resolveTargets(appConfig, {
+        fileName,
+        tableName,
+        headers
+      });
+      const ruleInfo = rule ? ` (rule: ${rule.name})` : '';
+      console.log(`Routing ${tableName} to ${connections.map(c => c.name).join(', ')}${ruleInfo}`);
+      return connections;
     }
 
-  } finally {
-    if (pool) {
-      await pool.close();
-    }
-  }
+    // Fallback to manual connection from form
+    const { server, database, username, password, port } = req.body;
+    return [{
+      name: 'Manual Connection',
+      server, database, username, password, port: port || 1433
+    }];
+  });
+
+  // The uploaded file is deleted once every job reading it is done
+  const readers = { count: loads.length };
+
+  const jobs = loads.map((load, i) => {
+    const loadFileName = sheetFileName(fileName, load.sheet);
+    const file = {
+      filePath,
+      fileType: load.fileType,
+      sheet: load.sheet,
+      sheetIndex: load.sheetIndex,
+      workbook: load.workbook,
+      dialect: load.dialect,
+      layout: load.layout,
+      isRejects: load.isRejects,
+      readers
+    };
+    const targetConnections = targets[i];
+
+    const job = submitJob({
+      source: 'web',
+      fileName: loadFileName,
+      tableName: load.tableName,
+      connections: targetConnections.map(conn => conn.name),
+      run: (queuedJob) => runUploadJob(queuedJob, {
+        file,
+        fileName: loadFileName,
+        tableName: load.tableName,
+        targetConnections,
+        body: req.body,
+        userName: req.body.uploadedBy || req.ip
+      })
+    });
+    console.log(`Queued job ${job.id} for ${loadFileName}`);
+
+    return { jobId: job.id, fileName: loadFileName, sheet: load.sheet, tableName: load.tableName, state: job.state };
+  });
+
+  return { jobs, unmatchedSheets: unmatchedSheets.map(unmatched => ({ fileName, ...unmatched })) };
 }
 
-// Upload and process CSV (now with multi-database support)
+// Upload and process CSV (now with multi-database support).
+// Detection and routing happen right away; the load itself is queued and
+// the response carries the job ID to poll at GET /api/jobs/:id. A
+// multi-sheet workbook gets one job per matched sheet and a ZIP archive
+// one per file in it (all listed in jobs); sheets no table reads are
+// listed in unmatchedSheets, archive files that cannot be loaded in
+// skippedFiles.
 app.post('/api/upload-csv', upload.single('csvFile'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ success: false, message: 'No file uploaded (field csvFile)' });
+  }
   const filePath = req.file.path;
   const fileName = req.file.originalname;
 
-  let totalSuccessCount = 0;
-  let totalErrorCount = 0;
-  const allErrors = [];
-  const uploadResults = [];
-
   try {
-    // Parse file first
-    const fileExtension = path.extname(fileName).toLowerCase();
-    let csvData = [];
-
-    if (fileExtension === '.xlsx') {
-      console.log('Parsing XLSX file...');
-      const workbook = xlsx.readFile(filePath);
-      const sheetName = workbook.SheetNames[0];
-      const worksheet = workbook.Sheets[sheetName];
-      csvData = xlsx.utils.sheet_to_json(worksheet);
-    } else {
-      console.log('Parsing CSV file...');
-      await new Promise((resolve, reject) => {
-        fs.createReadStream(filePath)
-          .pipe(csv())
-          .on('data', (row) => csvData.push(row))
-          .on('end', resolve)
-          .on('error', reject);
+    // Peek at the file; rows are streamed later, never held in memory
+    const fileType = detectFileType(filePath);
+    console.log(`Detected file type: ${fileType}`);
+
+    if (fileType !== 'zip') {
+      const { jobs, unmatchedSheets } = await queueUploadedFile(filePath, fileType, fileName, req);
+      return res.status(202).json({
+        success: true,
+        message: jobs.length > 1 ? `${jobs.length} sheets queued` : 'Upload queued',
+        jobId: jobs[0].jobId,
+        state: jobs[0].state,
+        jobs,
+        unmatchedSheets,
+        skippedFiles: []
       });
     }
 
-    console.log(`Parsed ${csvData.length} rows from file`);
-
-    if (csvData.length === 0) {
-      throw new Error('File is empty or has no data');
-    }
+    // Each file in a ZIP archive is detected and queued on its own
+    const { files, skipped } = expandZip(filePath, (entryName, index) => `${filePath}-${index}`);
+    fs.unlinkSync(filePath);
 
-    // Detect table name
-    const tableName = detectTableName(fileName, csvData);
-    console.log(`Detected table: ${tableName}`);
+    const jobs = [];
+    const unmatchedSheets = [];
+    const skippedFiles = [...skipped];
 
-    // Determine target databases
-    let targetConnections = [];
-    
-    if (appConfig && appConfig.connections) {
-      // Config-based multi-database
-      let enabledConnections = appConfig.connections.filter(conn => conn.enabled);
-      
-      // Route based on table name (same as fileWatcher)
-      if (tableName === 'SALES_INVOICE_ACCURATE_ONLINE') {
-        const db2 = appConfig.connections.find(conn => conn.name === 'Database 2');
-        if (db2 && db2.enabled) {
-          targetConnections = [db2];
-          console.log(`Routing ${tableName} to Database 2 only`);
-        } else {
-          throw new Error('Database 2 is not enabled for SALES_INVOICE_ACCURATE_ONLINE');
-        }
-      } else {
-        const db1 = appConfig.connections.find(conn => conn.name === 'Database 1');
-        if (db1 && db1.enabled) {
-          targetConnections = [db1];
-          console.log(`Routing ${tableName} to Database 1 only`);
-        } else {
-          throw new Error('Database 1 is not enabled');
-        }
-      }
-    } else {
-      // Fallback to manual connection from form
-      const { server, database, username, password, port } = req.body;
-      targetConnections = [{
-        name: 'Manual Connection',
-        server, database, username, password, port: port || 1433
-      }];
-    }
-
-    // Upload to each target database
-    for (const conn of targetConnections) {
-      console.log(`Uploading to ${conn.name}...`);
-      
+    for (const entry of files) {
       try {
-        const result = await uploadToDatabase(conn, csvData, tableName);
-        uploadResults.push({
-          database: conn.name,
-          success: true,
-          ...result
-        });
-        totalSuccessCount += result.successCount;
-        totalErrorCount += result.errorCount;
-        allErrors.push(...result.errors);
-        
-        console.log(`✓ ${conn.name}: ${result.successCount} rows inserted`);
+        const queued = await queueUploadedFile(entry.filePath, detectFileType(entry.filePath), entry.fileName, req);
+        jobs.push(...queued.jobs);
+        unmatchedSheets.push(...queued.unmatchedSheets);
       } catch (err) {
-        console.error(`✗ ${conn.name} failed: ${err.message}`);
-        uploadResults.push({
-          database: conn.name,
-          success: false,
-          error: err.message
-        });
-        throw new Error(`Upload to ${conn.name} failed: ${err.message}`);
+        console.log(`${entry.fileName} from ${fileName} not loaded: ${err.message}`);
+        fs.unlinkSync(entry.filePath);
+        skippedFiles.push({ fileName: entry.fileName, reason: err.message });
       }
     }
 
-    // Clean up uploaded file
-    fs.unlinkSync(filePath);
+    if (jobs.length === 0) {
+      const reasons = skippedFiles.map(skippedFile => `${skippedFile.fileName}: ${skippedFile.reason}`);
+      throw new Error(`No file in ${fileName} can be loaded (${reasons.join('; ') || 'archive is empty'})`);
+    }
 
-    res.json({
+    res.status(202).json({
       success: true,
-      message: 'Upload completed',
-      totalRows: csvData.length,
-      totalSuccessCount,
-      totalErrorCount,
-      databases: uploadResults,
-      errors: allErrors.slice(0, 10)
+      message: `${jobs.length} loads queued from ${fileName}`,
+      jobId: jobs[0].jobId,
+      state: jobs[0].state,
+      jobs,
+      unmatchedSheets,
+      skippedFiles
     });
 
   } catch (err) {
@@ -487,14 +499,307 @@ app.post('/api/upload-csv', upload.single('csvFile'), async (req, res) => {
 
     res.status(500).json({
       success: false,
-      message: err.message,
-      totalSuccessCount,
-      totalErrorCount,
-      databases: uploadResults
+      message: err.message
     });
   }
 });
 
+// List queued, running and recent jobs (web and file watcher)
+app.get('/api/jobs', (req, res) => {
+  res.json({ success: true, jobs: listJobs() });
+});
+
+// Job state, progress and result
+app.get('/api/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, message: 'Job not found' });
+  }
+  res.json({ success: true, job });
+});
+
+// Interval between keep-alive comments on event streams
+const EVENT_STREAM_PING_MS = 25000;
+
+// Start a Server-Sent Events response; returns send(event) and calls
+// onClose when the client disconnects
+function openEventStream(req, res, onClose) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+
+  const ping = setInterval(() => res.write(': ping\n\n'), EVENT_STREAM_PING_MS);
+  req.on('close', () => {
+    clearInterval(ping);
+    onClose();
+  });
+
+  return (event) => res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+}
+
+// Live events for one job: a snapshot first, then state, progress, log
+// lines and a final "done" event, after which the stream is closed
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, message: 'Job not found' });
+  }
+
+  const listener = (event) => {
+    if (event.jobId !== job.id) return;
+    send(event);
+    if (event.type === 'done') res.end();
+  };
+  const send = openEventStream(req, res, () => jobEvents.removeListener('job', listener));
+
+  send({ type: 'snapshot', jobId: job.id, job });
+  if (job.finishedAt) {
+    send({ type: 'done', jobId: job.id, state: job.state, result: job.result, error: job.error });
+    return res.end();
+  }
+  jobEvents.on('job', listener);
+});
+
+// Live events for all jobs, including files picked up by the file watcher
+app.get('/api/events', (req, res) => {
+  const listener = (event) => send(event);
+  const send = openEventStream(req, res, () => jobEvents.removeListener('job', listener));
+  jobEvents.on('job', listener);
+});
+
+// Upload history from the audit table of each enabled connection (or only
+// ?connection=<name>), newest first. Filters: fileName, fileHash, table,
+// source, status, user, from, to, limit.
+app.get('/api/history', async (req, res) => {
+  if (!appConfig || !appConfig.connections) {
+    return res.status(400).json({ success: false, message: 'Upload history needs connections in config.json' });
+  }
+
+  const connections = appConfig.connections.filter(conn =>
+    req.query.connection ? conn.name === req.query.connection : conn.enabled
+  );
+
+  const history = [];
+  const errors = [];
+
+  for (const conn of connections) {
+    let pool;
+    try {
+      pool = await connectWithRetry(conn, { retries: 1, log: () => {} });
+      const rows = await queryHistory(pool, req.query);
+      history.push(...rows.map(row => ({ ...row, ConnectionName: row.ConnectionName || conn.name })));
+    } catch (err) {
+      errors.push({ connection: conn.name, error: err.message });
+    } finally {
+      if (pool) {
+        await pool.close();
+      }
+    }
+  }
+
+  history.sort((a, b) => new Date(b.StartedAt) - new Date(a.StartedAt));
+
+  res.json({ success: errors.length === 0, history, errors });
+});
+
+// Undo a completed load (by its job ID) on every enabled connection it was
+// loaded into (or only ?connection=<name>). Runs as a queued job, so it
+// waits for loads into the same table.
+app.post('/api/jobs/:id/undo', async (req, res) => {
+  if (!appConfig || !appConfig.connections) {
+    return res.status(400).json({ success: false, message: 'Undo needs connections in config.json' });
+  }
+
+  const loadId = req.params.id;
+  const connections = appConfig.connections.filter(conn =>
+    req.query.connection ? conn.name === req.query.connection : conn.enabled
+  );
+
+  // Find where the load was committed
+  const targets = [];
+  for (const conn of connections) {
+    let pool;
+    try {
+      pool = await connectWithRetry(conn, { retries: 1, log: () => {} });
+      const load = await findLoad(pool, loadId);
+      if (load) {
+        targets.push({ conn, load });
+      }
+    } catch (err) {
+      return res.status(500).json({ success: false, message: `${conn.name}: ${err.message}` });
+    } finally {
+      if (pool) {
+        await pool.close();
+      }
+    }
+  }
+
+  if (targets.length === 0) {
+    return res.status(404).json({ success: false, message: `No successful load found for job ${loadId}` });
+  }
+
+  const { TableName: tableName, FileName: fileName } = targets[0].load;
+  const userName = (req.body && req.body.uploadedBy) || req.ip;
+
+  const job = submitJob({
+    source: 'undo',
+    fileName,
+    tableName,
+    connections: targets.map(target => target.conn.name),
+    run: async (queuedJob) => {
+      const log = (message, level = 'INFO') => {
+        console.log(message);
+        queuedJob.log(message, level);
+      };
+
+      const results = [];
+      for (const { conn } of targets) {
+        queuedJob.update({ phase: 'undoing', connection: conn.name });
+        const result = await undoUpload(conn, loadId, { log, audit: { source: 'web', userName } });
+        results.push({ database: conn.name, ...result });
+      }
+
+      return { success: true, message: `Load of ${fileName} undone`, undoneJobId: loadId, databases: results };
+    }
+  });
+  console.log(`Queued undo job ${job.id} for load ${loadId}`);
+
+  res.status(202).json({ success: true, message: 'Undo queued', jobId: job.id, state: job.state });
+});
+
+// Infer a tableSchemas.json entry from a sample file (field csvFile, optional
+// tableName, defaulting to the file name, and sheet for workbooks). The proposal is written to
+// ./proposed-schemas/<TABLE>.json for review; tableSchemas.json is not changed.
+app.post('/api/schema/infer', upload.single('csvFile'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ success: false, message: 'No file uploaded (field csvFile)' });
+  }
+  const filePath = req.file.path;
+
+  try {
+    const file = { filePath, fileType: detectFileType(filePath), sheet: req.body.sheet || null };
+    const tableName = req.body.tableName || tableNameFromFile(req.file.originalname);
+    const existing = loadSchemas()[tableName] || null;
+
+    const result = await inferTableSchema(file, tableName, existing);
+    const proposalFile = writeProposal(tableName, result.entry);
+
+    res.json({ success: true, ...result, proposalFile });
+  } catch (err) {
+    res.status(400).json({ success: false, message: err.message });
+  } finally {
+    fs.unlinkSync(filePath);
+  }
+});
+
+// Compare tableSchemas.json with the live tables on each enabled connection
+// (or only ?connection=<name>, ?table=<name>). ?format=sql returns only the
+// reconcile script as text.
+app.get('/api/schema/drift', async (req, res) => {
+  if (!appConfig || !appConfig.connections) {
+    return res.status(400).json({ success: false, message: 'Drift check needs connections in config.json' });
+  }
+
+  const connections = appConfig.connections.filter(conn =>
+    req.query.connection ? conn.name === req.query.connection : conn.enabled
+  );
+
+  try {
+    const drift = await checkDrift(connections, { table: req.query.table });
+
+    if (req.query.format === 'sql') {
+      return res.type('text/plain').send(drift.script);
+    }
+    res.json({ success: drift.errors.length === 0, ...drift });
+  } catch (err) {
+    res.status(400).json({ success: false, message: err.message });
+  }
+});
+
+// Pending schema migrations on each enabled connection (or only
+// ?connection=<name>, ?table=<name>), without applying them. ?format=sql
+// returns only the migration script as text.
+app.get('/api/schema/migrations', async (req, res) => {
+  if (!appConfig || !appConfig.connections) {
+    return res.status(400).json({ success: false, message: 'Migrations need connections in config.json' });
+  }
+
+  const connections = appConfig.connections.filter(conn =>
+    req.query.connection ? conn.name === req.query.connection : conn.enabled
+  );
+
+  try {
+    const migration = await runMigrations(connections, { table: req.query.table, dryRun: true });
+
+    if (req.query.format === 'sql') {
+      return res.type('text/plain').send(migration.script);
+    }
+    res.json({ success: migration.errors.length === 0, ...migration });
+  } catch (err) {
+    res.status(400).json({ success: false, message: err.message });
+  }
+});
+
+// Apply schema migrations (body: connection, table, force to apply
+// narrowing type changes). Runs as one queued job per table, so a migration
+// waits for loads into the same table.
+app.post('/api/schema/migrate', (req, res) => {
+  if (!appConfig || !appConfig.connections) {
+    return res.status(400).json({ success: false, message: 'Migrations need connections in config.json' });
+  }
+
+  const connections = appConfig.connections.filter(conn =>
+    req.body.connection ? conn.name === req.body.connection : conn.enabled
+  );
+  const tableNames = Object.keys(loadSchemas()).filter(name => !req.body.table || name === req.body.table);
+
+  if (tableNames.length === 0) {
+    return res.status(400).json({ success: false, message: `No schema defined for table: ${req.body.table}` });
+  }
+
+  const userName = req.body.uploadedBy || req.ip;
+  const force = req.body.force === true || req.body.force === 'true';
+  const jobs = tableNames.map(tableName => submitJob({
+    source: 'migrate',
+    fileName: 'tableSchemas.json',
+    tableName,
+    connections: connections.map(conn => conn.name),
+    run: async (queuedJob) => {
+      const log = (message, level = 'INFO') => {
+        console.log(message);
+        queuedJob.log(message, level);
+      };
+
+      queuedJob.update({ phase: 'migrating' });
+      const migration = await runMigrations(connections, { table: tableName, userName, force, log });
+
+      if (migration.errors.length > 0) {
+        const err = new Error(migration.errors.map(e => `${e.connection}: ${e.error}`).join('; '));
+        err.result = migration;
+        throw err;
+      }
+      return { success: true, message: `${tableName} migrated`, ...migration };
+    }
+  }));
+  console.log(`Queued ${jobs.length} migration job(s)`);
+
+  res.status(202).json({ success: true, message: 'Migrations queued', jobs: jobs.map(job => ({ jobId: job.id, tableName: job.tableName, state: job.state })) });
+});
+
+// Download a rejects file
+app.get('/api/rejects/:fileName', (req, res) => {
+  const fileName = path.basename(req.params.fileName);
+  const rejectsPath = path.join(rejectsFolder(), fileName);
+
+  if (!fileName.endsWith('.rejects.csv') || !fs.existsSync(rejectsPath)) {
+    return res.status(404).json({ success: false, message: 'Rejects file not found' });
+  }
+
+  res.download(path.resolve(rejectsPath), fileName);
+});
+
 app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
 });
@@ -1,5 +1,6 @@
 const sql = require('mssql');
 const fs = require('fs');
+const { matchesFilePattern } = require('./router');
 
 // Load table schemas
 function loadSchemas() {
@@ -27,10 +28,8 @@ async function tableExists(pool, tableName) {
   return result.recordset[0].count > 0;
 }
 
-// Create table from schema
-async function createTable(pool, tableName, schema) {
-  console.log(`Creating table: ${tableName}`);
-  
+// Build the CREATE TABLE statement for a schema (indexes not included)
+function buildCreateTableSql(tableName, schema) {
   // Build column definitions
   const columnDefs = Object.entries(schema.columns)
     .map(([name, type]) => `[${name}] ${type}`)
@@ -43,14 +42,18 @@ async function createTable(pool, tableName, schema) {
     primaryKeyDef = `,\n  PRIMARY KEY (${pkColumns})`;
   }
   
-  // Create table query
-  const createQuery = `
+  return `
     CREATE TABLE [${tableName}] (
       ${columnDefs}${primaryKeyDef}
     )
   `;
+}
+
+// Create table from schema
+async function createTable(pool, tableName, schema) {
+  console.log(`Creating table: ${tableName}`);
   
-  await pool.request().query(createQuery);
+  await pool.request().query(buildCreateTableSql(tableName, schema));
   console.log(`✓ Table ${tableName} created successfully`);
   
   // Create indexes
@@ -72,11 +75,9 @@ async function createTable(pool, tableName, schema) {
   }
 }
 
-// Ensure table exists (create if not)
-async function ensureTable(pool, tableName) {
-  const schemas = loadSchemas();
-  const schema = schemas[tableName];
-  
+// Ensure table exists (create if not). The schema defaults to the
+// table's entry in tableSchemas.json.
+async function ensureTable(pool, tableName, schema = loadSchemas()[tableName]) {
   if (!schema) {
     throw new Error(`No schema defined for table: ${tableName}`);
   }
@@ -91,12 +92,15 @@ async function ensureTable(pool, tableName) {
   return false; // Table already exists
 }
 
+// Get schema for a single table (undefined if not defined)
+function getSchema(tableName) {
+  return loadSchemas()[tableName];
+}
+
 // Map CSV columns to SQL columns using schema mapping
-function mapColumns(csvRow, tableName) {
-  const schemas = loadSchemas();
-  const schema = schemas[tableName];
-  
-  if (!schema || !schema.columnMapping) {
+// Pass the schema when mapping many rows to avoid re-reading tableSchemas.json
+function mapColumns(csvRow, tableName, schema = getSchema(tableName)) {
+  if (!schema || !schema.columnMapping || Object.keys(schema.columnMapping).length === 0) {
     return csvRow; // No mapping, return as-is
   }
   
@@ -105,85 +109,118 @@ function mapColumns(csvRow, tableName) {
   for (const [csvCol, sqlCol] of Object.entries(schema.columnMapping)) {
     if (csvRow.hasOwnProperty(csvCol)) {
       mappedRow[sqlCol] = csvRow[csvCol];
+    } else {
+      // Row keys may already be normalized ("No. Faktur" -> "No_Faktur")
+      const normalizedCol = normalizeColumnName(csvCol);
+      if (csvRow.hasOwnProperty(normalizedCol)) {
+        mappedRow[sqlCol] = csvRow[normalizedCol];
+      }
     }
   }
   
   return mappedRow;
 }
 
-// Parse numeric value (handle comma as thousand separator)
-function parseNumeric(value) {
-  if (value === null || value === undefined || value === '') {
-    return null;
+// Normalize a CSV header into a SQL-friendly column name
+function normalizeColumnName(key) {
+  // Replace spaces with underscore, keep alphanumeric and underscore
+  let normalizedKey = key.toString().trim().replace(/\s+/g, '_');
+  // Remove only problematic special chars, keep letters and numbers
+  normalizedKey = normalizedKey.replace(/[^a-zA-Z0-9_]/g, '_');
+  // Remove multiple consecutive underscores
+  normalizedKey = normalizedKey.replace(/_+/g, '_');
+  // Remove leading/trailing underscores
+  normalizedKey = normalizedKey.replace(/^_+|_+$/g, '');
+  return normalizedKey;
+}
+
+// Header comparison key, so "No. Faktur", "No_Faktur" and "no faktur" match
+function headerKey(header) {
+  return normalizeColumnName(header).toLowerCase();
+}
+
+// Score one table's detection profile against a file
+// Profile (tableSchemas.json -> detection):
+//   filePatterns:    globs on the file name, a match adds filePatternScore (default 1)
+//   requiredHeaders: headers that must all be present
+//   headers:         signature headers, each one present adds 1 to the header score
+//                    (defaults to the columnMapping / columns keys)
+//   minScore:        minimum header score for the table to be a candidate (default 1)
+function scoreDetectionProfile(schema, fileName, headerKeys) {
+  const detection = schema.detection || {};
+  const signature = detection.headers ||
+    Object.keys(schema.columnMapping || {}).concat(Object.keys(schema.columns || {}));
+  const minScore = detection.minScore !== undefined ? detection.minScore : 1;
+
+  const missing = (detection.requiredHeaders || []).filter(h => !headerKeys.has(headerKey(h)));
+  if (missing.length > 0) {
+    return { candidate: false, reason: `missing required header(s) ${missing.join(', ')}` };
   }
-  
-  // Convert to string
-  let strValue = value.toString().trim();
-  
-  // Remove thousand separators (comma or dot depending on locale)
-  // Assume format: 55,000. or 55.000,00
-  // For Indonesian format: 55.000,00 (dot = thousand, comma = decimal)
-  // For US format: 55,000.00 (comma = thousand, dot = decimal)
-  
-  // Remove all dots and commas except the last one
-  const lastDot = strValue.lastIndexOf('.');
-  const lastComma = strValue.lastIndexOf(',');
-  
-  if (lastDot > lastComma) {
-    // US format: 55,000.50 → remove commas
-    strValue = strValue.replace(/,/g, '');
-  } else if (lastComma > lastDot) {
-    // Indonesian format: 55.000,50 → remove dots, replace comma with dot
-    strValue = strValue.replace(/\./g, '').replace(',', '.');
-  } else {
-    // No decimal separator, just remove all commas and dots
-    strValue = strValue.replace(/[,.]/g, '');
+
+  const signatureKeys = new Set(signature.map(headerKey));
+  let headerScore = 0;
+  signatureKeys.forEach(key => {
+    if (headerKeys.has(key)) headerScore++;
+  });
+
+  if (headerScore < minScore) {
+    return { candidate: false, reason: `header score ${headerScore} below minimum ${minScore}` };
   }
-  
-  const numValue = parseFloat(strValue);
-  return isNaN(numValue) ? null : numValue;
+
+  const nameMatch = detection.filePatterns && detection.filePatterns.length > 0 &&
+    matchesFilePattern(fileName, detection.filePatterns);
+  const nameScore = nameMatch ? (detection.filePatternScore || 1) : 0;
+
+  return { candidate: true, score: headerScore + nameScore, headerScore, nameMatch };
 }
 
-// Parse date value
-function parseDate(value) {
-  if (value === null || value === undefined || value === '') {
-    return null;
-  }
-  
-  // Try to parse various date formats
-  const strValue = value.toString().trim();
-  
-  // Format: "25 Nov 2025" or "25-Nov-2025"
-  const monthMap = {
-    'jan': '01', 'feb': '02', 'mar': '03', 'apr': '04',
-    'may': '05', 'mei': '05', 'jun': '06', 'jul': '07',
-    'aug': '08', 'agu': '08', 'sep': '09', 'oct': '10',
-    'okt': '10', 'nov': '11', 'dec': '12', 'des': '12'
-  };
-  
-  // Try to match: "25 Nov 2025"
-  const match = strValue.match(/(\d{1,2})\s*([a-z]+)\s*(\d{4})/i);
-  if (match) {
-    const day = match[1].padStart(2, '0');
-    const month = monthMap[match[2].toLowerCase().substring(0, 3)];
-    const year = match[3];
-    
-    if (month) {
-      return `${year}-${month}-${day}`;
+// Detect target table from file name and headers using the detection
+// profiles in tableSchemas.json (only among tableNames, when given).
+// Throws when no table matches or when the best score is shared by more
+// than one table.
+function detectTableName(fileName, headers, tableNames = null) {
+  const schemas = loadSchemas();
+  const headerKeys = new Set((headers || []).map(headerKey));
+  const candidates = [];
+  const rejections = [];
+
+  for (const [tableName, schema] of Object.entries(schemas)) {
+    if (tableNames && !tableNames.includes(tableName)) continue;
+
+    const result = scoreDetectionProfile(schema, fileName, headerKeys);
+    if (result.candidate) {
+      candidates.push({ tableName, ...result });
+    } else {
+      rejections.push(`${tableName}: ${result.reason}`);
     }
   }
-  
-  // Return as-is and let SQL Server try to parse
-  return strValue;
+
+  if (candidates.length === 0) {
+    throw new Error(`Cannot detect target table for ${fileName}: ${rejections.join('; ') || 'no tables defined'}`);
+  }
+
+  candidates.sort((a, b) => b.score - a.score);
+  const best = candidates[0];
+  const tied = candidates.filter(c => c.score === best.score);
+
+  if (tied.length > 1) {
+    throw new Error(`Ambiguous table detection for ${fileName}: ${tied.map(c => c.tableName).join(', ')} all scored ${best.score}`);
+  }
+
+  return best.tableName;
 }
 
 // Get column type from schema
-function getColumnType(tableName, columnName) {
-  const schemas = loadSchemas();
-  const schema = schemas[tableName];
-  
+function getColumnType(tableName, columnName, schema = getSchema(tableName)) {
+
   if (!schema) return 'string';
   
+  // Identifiers (barcodes, phone numbers, long IDs) stay text even when
+  // they look like numbers
+  if (schema.identifierColumns && schema.identifierColumns.includes(columnName)) {
+    return 'identifier';
+  }
+  
   if (schema.numericColumns && schema.numericColumns.includes(columnName)) {
     return 'numeric';
   }
@@ -196,9 +233,13 @@ function getColumnType(tableName, columnName) {
 }
 
 module.exports = {
+  loadSchemas,
+  getSchema,
+  tableExists,
+  buildCreateTableSql,
   ensureTable,
+  detectTableName,
+  normalizeColumnName,
   mapColumns,
-  parseNumeric,
-  parseDate,
   getColumnType
 };
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const iconv = require('iconv-lite');
+const { detectDialect, resolveDialect, describeDialect, parserOptions } = require('../csvDialect');
+
+// Detect the dialect of the given bytes written to a temporary CSV file
+function detect(content) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dialect-'));
+  const filePath = path.join(dir, 'sample.csv');
+  fs.writeFileSync(filePath, content);
+  try {
+    return detectDialect(filePath);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('detectDialect reads plain comma-separated UTF-8', () => {
+  assert.deepStrictEqual(detect('No_Faktur,Gudang,Jumlah\nF-1,UTAMA,10\nF-2,TOKO 1,20\n'), {
+    encoding: 'utf-8', bom: false, delimiter: ',', quote: '"', skipLines: 0
+  });
+});
+
+test('detectDialect finds semicolons, quotes and report title lines', () => {
+  const dialect = detect('Laporan Penjualan\n\nNo_Faktur;Barang;Jumlah\nF-1;"Semen; 50kg";1,5\nF-2;"Pasir";2\n');
+
+  assert.strictEqual(dialect.delimiter, ';');
+  assert.strictEqual(dialect.quote, '"');
+  assert.strictEqual(dialect.skipLines, 2);
+});
+
+test('detectDialect keeps the header when data rows end with a delimiter', () => {
+  assert.strictEqual(detect('A;B;C\r\n1;2;3;\r\n4;5;6;\r\n').skipLines, 0);
+  assert.strictEqual(detect('Laporan Stok\r\nA;B;C\r\n1;2;3;\r\n4;5;6;\r\n').skipLines, 1);
+});
+
+test('detectDialect recognises tabs, BOMs, UTF-16 and Windows-1252', () => {
+  assert.strictEqual(detect('A\tB\tC\n1\t2\t3\n').delimiter, '\t');
+
+  const bom = detect(Buffer.concat([Buffer.from([0xEF, 0xBB, 0xBF]), Buffer.from('A,B\n1,2\n')]));
+  assert.deepStrictEqual([bom.encoding, bom.bom], ['utf-8', true]);
+
+  const utf16 = detect(iconv.encode('A|B\n1|2\n', 'utf-16le'));
+  assert.deepStrictEqual([utf16.encoding, utf16.bom, utf16.delimiter], ['utf-16le', false, '|']);
+
+  assert.strictEqual(detect(iconv.encode('Nama,Kota\nJosé,Café\n', 'windows-1252')).encoding, 'windows-1252');
+});
+
+test('resolveDialect applies table overrides and rejects unknown encodings', () => {
+  const detected = { encoding: 'utf-8', bom: false, delimiter: ',', quote: '"', skipLines: 0 };
+
+  assert.deepStrictEqual(resolveDialect(detected, undefined), detected);
+  assert.deepStrictEqual(resolveDialect(detected, { delimiter: ';', skipLines: 3 }), { ...detected, delimiter: ';', skipLines: 3 });
+  assert.throws(() => resolveDialect(detected, { encoding: 'klingon' }), /Unknown CSV encoding "klingon"/);
+});
+
+test('describeDialect and parserOptions follow the dialect', () => {
+  const dialect = { encoding: 'windows-1252', bom: false, delimiter: '\t', quote: "'", skipLines: 2 };
+
+  assert.strictEqual(describeDialect(dialect), "windows-1252, delimiter tab, quote ''', 2 line(s) above the header skipped");
+  assert.deepStrictEqual(parserOptions(dialect), { separator: '\t', quote: "'", escape: "'", skipLines: 2 });
+  assert.strictEqual(parserOptions({ ...dialect, skipLines: 0 }).skipLines, null);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveTargets, matchesFilePattern } = require('../router');
+
+const connections = [
+  { name: 'HO', enabled: true, filePattern: '*' },
+  { name: 'CABANG', enabled: true, filePattern: 'cabang_*.csv' },
+  { name: 'ARSIP', enabled: false }
+];
+
+// Connection names a file is routed to
+function targetNames(appConfig, fileInfo) {
+  return resolveTargets(appConfig, fileInfo).connections.map(conn => conn.name);
+}
+
+test('matchesFilePattern matches case-insensitive globs', () => {
+  assert.ok(matchesFilePattern('Export_ACCURATE_2025.csv', '*accurate*'));
+  assert.ok(matchesFilePattern('file1.csv', ['*.xlsx', 'file?.csv']));
+  assert.ok(!matchesFilePattern('file10.csv', 'file?.csv'));
+  assert.ok(!matchesFilePattern('filexcsv', 'file.csv'));
+  assert.ok(matchesFilePattern('anything.csv', undefined));
+});
+
+test('resolveTargets falls back to connection file patterns', () => {
+  const appConfig = { connections };
+
+  assert.deepStrictEqual(targetNames(appConfig, { fileName: 'cabang_01.csv' }), ['HO', 'CABANG']);
+  assert.deepStrictEqual(targetNames(appConfig, { fileName: 'pusat.csv' }), ['HO']);
+  assert.throws(() => resolveTargets({ connections: [connections[2]] }, { fileName: 'pusat.csv' }), /No enabled connection matches file pusat.csv/);
+});
+
+test('resolveTargets uses the first matching rule', () => {
+  const appConfig = {
+    connections,
+    routing: {
+      rules: [
+        { name: 'accurate', match: { filePattern: '*accurate*', headers: ['No_Faktur'] }, connections: ['HO', 'CABANG'] },
+        { match: { table: ['SNJ_SRP_DETAIL'] }, connections: 'CABANG' },
+        { name: 'default', match: {}, connections: ['HO'] }
+      ]
+    }
+  };
+
+  const routed = resolveTargets(appConfig, { fileName: 'accurate.csv', tableName: 'PENJUALAN', headers: [' No_Faktur ', 'Gudang'] });
+  assert.strictEqual(routed.rule.name, 'accurate');
+  assert.deepStrictEqual(routed.connections.map(conn => conn.name), ['HO', 'CABANG']);
+
+  const byTable = resolveTargets(appConfig, { fileName: 'accurate.csv', tableName: 'SNJ_SRP_DETAIL', headers: ['Gudang'] });
+  assert.strictEqual(byTable.rule.name, '#2');
+  assert.deepStrictEqual(byTable.connections.map(conn => conn.name), ['CABANG']);
+
+  assert.deepStrictEqual(targetNames(appConfig, { fileName: 'lain.csv', tableName: 'LAIN', headers: [] }), ['HO']);
+});
+
+test('resolveTargets reports rules that cannot be followed', () => {
+  const route = rules => () => resolveTargets({ connections, routing: { rules } }, { fileName: 'a.csv', tableName: 'A' });
+
+  assert.throws(route([{ match: { table: 'B' }, connections: ['HO'] }]), /No routing rule matches file a.csv \(table: A\)/);
+  assert.throws(route([{ name: 'kosong', match: {} }]), /Routing rule kosong has no connections/);
+  assert.throws(route([{ match: {}, connections: ['GUDANG'] }]), /Routing rule #1 refers to unknown connection: GUDANG/);
+  assert.throws(route([{ match: {}, connections: ['ARSIP'] }]), /ARSIP is not enabled for A \(routing rule #1\)/);
+});
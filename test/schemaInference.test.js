@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { inferColumnType, inferTableSchema, tableNameFromFile, writeProposal } = require('../schemaInference');
+
+// Infer a schema from CSV text written to a temporary sample file
+async function inferCsv(content) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'infer-'));
+  const filePath = path.join(dir, 'sample.csv');
+  fs.writeFileSync(filePath, content);
+  try {
+    return await inferTableSchema({ filePath, fileType: 'csv' }, 'SAMPLE');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('inferColumnType picks the narrowest type', () => {
+  assert.strictEqual(inferColumnType(['1', '25', '300']), 'INT');
+  assert.strictEqual(inferColumnType(['12345678901']), 'BIGINT');
+  assert.strictEqual(inferColumnType(['1.5', '22.75']), 'DECIMAL(6,2)');
+  assert.strictEqual(inferColumnType(['2025-11-25', '2025-01-02']), 'DATE');
+  assert.strictEqual(inferColumnType(['2025-11-25 10:00:00']), 'DATETIME2');
+  assert.strictEqual(inferColumnType(['0812', 'abc']), 'NVARCHAR(50)');
+});
+
+test('tableNameFromFile normalizes the file name', () => {
+  assert.strictEqual(tableNameFromFile('snj srp detail.csv'), 'SNJ_SRP_DETAIL');
+});
+
+test('inferTableSchema keeps zero-padded codes as identifiers, not dates', async () => {
+  const { entry } = await inferCsv('No_Faktur,Kode_Pos,Tanggal,Jumlah\nF-1,01234,25 Nov 2025,1500\nF-2,00560,26-11-2025,20\nF-3,04011,27 Nov 2025,7\n');
+
+  assert.strictEqual(entry.columns.Kode_Pos, 'NVARCHAR(50)');
+  assert.deepStrictEqual(entry.identifierColumns, ['Kode_Pos']);
+  assert.deepStrictEqual(entry.dateColumns, ['Tanggal']);
+  assert.deepStrictEqual(entry.numericColumns, ['Jumlah']);
+  assert.deepStrictEqual(entry.primaryKey, ['No_Faktur']);
+});
+
+test('inferTableSchema keeps 16+ digit IDs as text', async () => {
+  const { entry } = await inferCsv('Barcode,Qty\n8991234567890123,1\n8991234567890124,2\n');
+
+  assert.strictEqual(entry.columns.Barcode, 'NVARCHAR(50)');
+  assert.deepStrictEqual(entry.identifierColumns, ['Barcode']);
+});
+
+test('writeProposal refuses table names that leave the proposal folder', () => {
+  assert.throws(() => writeProposal('../config', {}), /Invalid table name "..\/config"/);
+  assert.throws(() => writeProposal('..\\tableSchemas', {}), /Invalid table name/);
+  assert.throws(() => writeProposal('', {}), /Invalid table name/);
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRowTransformer } = require('../transforms');
+
+// Transform one row with the given "transforms" (and other schema settings)
+async function transform(transforms, row, schema = {}) {
+  const transformRow = await createRowTransformer({ ...schema, transforms });
+  return transformRow(row);
+}
+
+test('createRowTransformer passes rows through without transforms', async () => {
+  const row = { Gudang: ' utama ' };
+  assert.deepStrictEqual(await transform(undefined, row), { row, failures: [] });
+});
+
+test('text steps run in chain order', async () => {
+  const { row } = await transform({
+    Gudang: ['trim', 'upper'],
+    Barang: [{ from: 'Barang_Jasa' }, { split: '&', index: 0 }, 'trim'],
+    Kode: [{ replace: '[^0-9]', with: '' }, { pad: 6 }, { prefix: 'K' }]
+  }, { Gudang: ' gudang utama ', Barang_Jasa: 'Semen & Pasir', Kode: 'A-12' });
+
+  assert.strictEqual(row.Gudang, 'GUDANG UTAMA');
+  assert.strictEqual(row.Barang, 'Semen');
+  assert.strictEqual(row.Kode, 'K000012');
+});
+
+test('digits keeps long IDs exact', async () => {
+  const { row, failures } = await transform({
+    Barcode: ['digits'],
+    HP: ['digits', { prefix: '0' }],
+    Id: ['digits'],
+    Exported: ['digits'],
+    Number: ['digits']
+  }, {
+    Barcode: '89912345678901234567',
+    HP: '+62 812-3456-7890',
+    Id: '812345678.0',
+    Exported: '8.123456789E+9',
+    Number: '9007199254740993.0'
+  });
+
+  assert.deepStrictEqual(failures, []);
+  assert.strictEqual(row.Barcode, '89912345678901234567');
+  assert.strictEqual(row.HP, '06281234567890');
+  assert.strictEqual(row.Id, '812345678');
+  assert.strictEqual(row.Exported, '8123456789');
+  assert.strictEqual(row.Number, '9007199254740993');
+});
+
+test('digits keeps leading zeros and reports lost digits', async () => {
+  const { row, failures } = await transform({ HP: ['digits'], Barcode: ['digits'] }, { HP: '0812', Barcode: '8.12346E+12' });
+
+  assert.strictEqual(row.HP, '0812');
+  assert.strictEqual(row.Barcode, '8.12346E+12');
+  assert.strictEqual(failures.length, 1);
+  assert.match(failures[0].error, /^Barcode "8.12346E\+12" is in scientific notation/);
+});
+
+test('compute reads operands with the column formats', async () => {
+  const schema = {
+    columns: { Kuantitas: 'INT', Harga: 'DECIMAL(18,2)', Diskon: 'DECIMAL(18,2)', Jumlah: 'DECIMAL(18,2)' },
+    formats: { Harga: { locale: 'id-ID' } }
+  };
+  const transforms = { Jumlah: [{ compute: '(Kuantitas * Harga) - [Diskon]', ifBlank: true }] };
+
+  const { row } = await transform(transforms, { Kuantitas: '3', Harga: '1.500,50', Diskon: '' }, schema);
+  assert.strictEqual(row.Jumlah, 4501.5);
+
+  const kept = await transform(transforms, { Kuantitas: '3', Harga: '1.500', Jumlah: '99' }, schema);
+  assert.strictEqual(kept.row.Jumlah, '99');
+
+  const failed = await transform(transforms, { Kuantitas: 'x', Harga: '1' }, schema);
+  assert.match(failed.failures[0].error, /^Jumlah cannot compute/);
+});
+
+test('constant and lookup fill derived columns', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lookup-'));
+  const lookupFile = path.join(dir, 'gudang.csv');
+  fs.writeFileSync(lookupFile, 'Gudang,Region\nUTAMA,Jawa\nTOKO 1,Bali\n');
+
+  try {
+    const transforms = {
+      Sumber: [{ constant: 'ACCURATE' }],
+      Region: [{ from: 'Gudang' }, 'trim', { lookup: lookupFile, key: 'Gudang', value: 'Region', default: 'LAIN' }]
+    };
+    assert.deepStrictEqual((await transform(transforms, { Gudang: ' TOKO 1 ' })).row, { Gudang: ' TOKO 1 ', Sumber: 'ACCURATE', Region: 'Bali' });
+    assert.strictEqual((await transform(transforms, { Gudang: 'GUDANG 9' })).row.Region, 'LAIN');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('misconfigured chains are rejected', async () => {
+  await assert.rejects(createRowTransformer({ transforms: { A: ['shout'] } }), /transforms.A: unknown step "shout"/);
+  await assert.rejects(createRowTransformer({ transforms: { A: [{ compute: 'B +' }] } }), /transforms.A: invalid expression/);
+  await assert.rejects(createRowTransformer({ columns: { A: 'INT' }, transforms: { A: [{ compute: 'B * 2' }] } }), /unknown column\(s\) B/);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { declaredMaxLength, createRowValidator } = require('../validator');
+
+test('declaredMaxLength reads the length of character types', () => {
+  assert.strictEqual(declaredMaxLength('NVARCHAR(20)'), 20);
+  assert.strictEqual(declaredMaxLength('char (3)'), 3);
+  assert.strictEqual(declaredMaxLength('NVARCHAR(MAX)'), null);
+  assert.strictEqual(declaredMaxLength('INT'), null);
+});
+
+test('createRowValidator passes valid rows', () => {
+  const validate = createRowValidator({
+    columns: { No_Faktur: 'NVARCHAR(20)' },
+    primaryKey: ['No_Faktur'],
+    validation: { No_Faktur: { regex: '^[A-Z0-9./-]+$' } }
+  });
+
+  assert.deepStrictEqual(validate({ No_Faktur: 'F-001' }, { No_Faktur: 'F-001' }), []);
+});
+
+test('createRowValidator reports required, length, regex and allowed values', () => {
+  const validate = createRowValidator({
+    columns: { No_Faktur: 'NVARCHAR(5)', Gudang: 'NVARCHAR(50)' },
+    primaryKey: ['No_Faktur'],
+    validation: {
+      No_Faktur: { regex: '^F' },
+      Gudang: { allowedValues: ['GUDANG UTAMA', 'TOKO 1'] }
+    }
+  });
+
+  assert.deepStrictEqual(validate({}, { No_Faktur: null, Gudang: 'GUDANG UTAMA' }), [
+    { column: 'No_Faktur', error: 'No_Faktur is required' }
+  ]);
+  assert.deepStrictEqual(validate({}, { No_Faktur: 'X-00001', Gudang: 'TOKO 2' }), [
+    { column: 'No_Faktur', error: 'No_Faktur length 7 exceeds maximum 5' },
+    { column: 'Gudang', error: 'Gudang "TOKO 2" is not an allowed value' }
+  ]);
+  assert.deepStrictEqual(validate({}, { No_Faktur: 'X-1', Gudang: null }), [
+    { column: 'No_Faktur', error: 'No_Faktur "X-1" does not match ^F' }
+  ]);
+});
+
+test('createRowValidator checks numbers and dates against their bounds', () => {
+  const validate = createRowValidator({
+    numericColumns: ['Kuantitas'],
+    dateColumns: ['Tanggal'],
+    validation: {
+      Kuantitas: { min: 0, max: 100 },
+      Tanggal: { minDate: '2020-01-01', maxDate: '2030-12-31' }
+    }
+  });
+
+  assert.deepStrictEqual(validate({ Kuantitas: 'abc' }, { Kuantitas: null }), [
+    { column: 'Kuantitas', error: 'Kuantitas "abc" is not a number' }
+  ]);
+  assert.deepStrictEqual(validate({}, { Kuantitas: -1, Tanggal: '2019-12-31' }), [
+    { column: 'Kuantitas', error: 'Kuantitas -1 is below minimum 0' },
+    { column: 'Tanggal', error: 'Tanggal 2019-12-31 is before 2020-01-01' }
+  ]);
+  assert.deepStrictEqual(validate({ Tanggal: 'soon' }, { Tanggal: 'soon' }), [
+    { column: 'Tanggal', error: 'Tanggal "soon" is not a valid date' }
+  ]);
+});
+
+test('createRowValidator takes max lengths of undeclared columns from the live table', () => {
+  const validate = createRowValidator({}, { Kode: { dataType: 'nvarchar', maxLength: 3 } });
+
+  assert.deepStrictEqual(validate({}, { Kode: 'ABCD' }), [
+    { column: 'Kode', error: 'Kode length 4 exceeds maximum 3' }
+  ]);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseNumber, parseDate, excelSerialDate, utcDate, numberText, createValueParser } = require('../valueParser');
+
+test('parseNumber guesses separators', () => {
+  assert.deepStrictEqual(parseNumber('1.500.000'), { value: 1500000, error: null });
+  assert.deepStrictEqual(parseNumber('1.500,25'), { value: 1500.25, error: null });
+  assert.deepStrictEqual(parseNumber('1,500.25'), { value: 1500.25, error: null });
+  assert.strictEqual(parseNumber('abc').value, null);
+});
+
+test('parseNumber flags a single separator with three digits as ambiguous', () => {
+  const result = parseNumber('1.500');
+  assert.strictEqual(result.value, 1.5);
+  assert.match(result.error, /ambiguous/);
+  assert.strictEqual(result.report, true);
+});
+
+test('parseNumber reads declared locales', () => {
+  assert.deepStrictEqual(parseNumber('1.500', { locale: 'id-ID' }), { value: 1500, error: null });
+  assert.deepStrictEqual(parseNumber('12,5', { locale: 'id-ID' }), { value: 12.5, error: null });
+  assert.deepStrictEqual(parseNumber('1,500.25', { locale: 'en-US' }), { value: 1500.25, error: null });
+});
+
+test('parseNumber takes numbers as they are, whatever the locale', () => {
+  assert.deepStrictEqual(parseNumber(1500, { locale: 'id-ID' }), { value: 1500, error: null });
+  assert.deepStrictEqual(parseNumber(1.5, { locale: 'id-ID' }), { value: 1.5, error: null });
+});
+
+test('parseDate reads the default formats', () => {
+  assert.strictEqual(parseDate('25 Nov 2025').value, '2025-11-25');
+  assert.strictEqual(parseDate('25-Agu-2025').value, '2025-08-25');
+  assert.strictEqual(parseDate('25-11-2025').value, '2025-11-25');
+  assert.strictEqual(parseDate('2025-11-25 10:30:00').value, '2025-11-25 10:30:00');
+});
+
+test('parseDate does not take digits as serial dates unless declared', () => {
+  assert.strictEqual(parseDate('0012').error, '"0012" is not a date in a known date format');
+  assert.strictEqual(parseDate('45621').value, '45621');
+  assert.strictEqual(parseDate('45621', { format: 'excel' }).value, '2024-11-25');
+  assert.strictEqual(parseDate('45621.5', { format: 'excel' }).value, '2024-11-25 12:00:00');
+});
+
+test('parseDate reads numbers as serial dates', () => {
+  assert.deepStrictEqual(parseDate(45621), { value: '2024-11-25', error: null });
+  assert.strictEqual(excelSerialDate(0), null);
+});
+
+test('parseDate rejects ISO dates that do not exist', () => {
+  const result = parseDate('2025-13-45');
+  assert.strictEqual(result.value, null);
+  assert.match(result.error, /not a valid date/);
+  assert.strictEqual(parseDate('2025-02-29').value, null);
+  assert.strictEqual(parseDate('2024-02-29').value, '2024-02-29');
+  assert.strictEqual(parseDate('2025-11-25 24:00:00').value, null);
+});
+
+test('parseDate reads declared formats in order', () => {
+  const options = { format: ['DD/MM/YYYY', 'D MMM YYYY HH:mm'] };
+  assert.strictEqual(parseDate('25/11/2025', options).value, '2025-11-25');
+  assert.strictEqual(parseDate('5 Des 2025 08:15', options).value, '2025-12-05 08:15:00');
+  assert.match(parseDate('31/02/2025', options).error, /DD\/MM\/YYYY or D MMM YYYY HH:mm/);
+});
+
+test('createValueParser reports only strict columns, ambiguous numbers and impossible dates', () => {
+  const parse = createValueParser({
+    formats: { Tanggal: { format: 'DD/MM/YYYY', strict: true } }
+  });
+
+  assert.deepStrictEqual(parse('Kode', 'date', 'abc'), { value: 'abc', error: null });
+  assert.match(parse('Tanggal', 'date', 'abc').error, /not a date in DD\/MM\/YYYY/);
+  assert.match(parse('Jumlah', 'numeric', '1,500').error, /ambiguous/);
+  assert.match(parse('Kode', 'date', '2025-13-45').error, /not a valid date/);
+});
+
+test('createValueParser rejects unknown locales and bad formats', () => {
+  assert.throws(() => createValueParser({ locale: 'not a locale' }));
+  assert.throws(() => createValueParser({ formats: { Tanggal: { format: 'DD/MM' } } }), /formats.Tanggal/);
+});
+
+test('numberText never uses scientific notation', () => {
+  assert.strictEqual(numberText(1e-7), '0.0000001');
+  assert.strictEqual(numberText(1.2e21), '1200000000000000000000');
+  assert.strictEqual(numberText(8991234567890123), '8991234567890123');
+  assert.strictEqual(numberText(-1.5), '-1.5');
+});
+
+test('utcDate reads ISO dates as UTC unless they carry a zone', () => {
+  assert.strictEqual(utcDate('2025-11-25').toISOString(), '2025-11-25T00:00:00.000Z');
+  assert.strictEqual(utcDate('2025-11-25 00:00:00').toISOString(), '2025-11-25T00:00:00.000Z');
+  assert.strictEqual(utcDate('2025-11-25T10:30:00.250').toISOString(), '2025-11-25T10:30:00.250Z');
+  assert.strictEqual(utcDate('2025-11-25T10:00:00+0700').toISOString(), '2025-11-25T03:00:00.000Z');
+  assert.strictEqual(utcDate('25/11/2025'), '25/11/2025');
+  assert.strictEqual(utcDate(null), null);
+});
@@ -0,0 +1,295 @@
+const fs = require('fs');
+const { createRowStream } = require('./fileReader');
+const { createValueParser, numberText } = require('./valueParser');
+
+// Per-column transform chains from tableSchemas.json, run on mapped rows
+// (SQL column names) before values are converted:
+//   "transforms": {
+//     "Gudang": ["trim", "upper"],
+//     "HP_Pelanggan": ["digits", { "prefix": "0" }],
+//     "Barang": [{ "from": "Barang_Jasa" }, { "split": "&", "index": 0 }, "trim"],
+//     "Sumber": [{ "constant": "ACCURATE" }],
+//     "Jumlah": [{ "compute": "Kuantitas * Harga_Satuan - Diskon", "ifBlank": true }],
+//     "Region": [{ "from": "Gudang" }, { "lookup": "lookups/gudang.csv", "key": "Gudang", "value": "Region" }]
+//   }
+// Columns run in the order they are listed, steps in chain order; a step
+// sees the row as transformed so far. Any step can carry "ifBlank": true
+// to run only when the value is still empty.
+
+// Text of a value for the text steps (null and undefined become '',
+// numbers are written out in full)
+function text(value) {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'number' ? numberText(value) : value.toString();
+}
+
+function isBlank(value) {
+  return text(value).trim() === '';
+}
+
+// Compile an arithmetic expression over columns (+ - * / and parentheses,
+// column names as identifiers or in [brackets]) into
+// (readNumber) => number, where readNumber(column) gives a column's value.
+// Returns { evaluate, columns }.
+function compileExpression(expression) {
+  const tokens = [];
+  const tokenPattern = /\s*(?:(\d+(?:\.\d+)?)|([A-Za-z_]\w*)|\[([^\]]+)\]|([-+*/()]))\s*/y;
+  while (tokenPattern.lastIndex < expression.length) {
+    const start = tokenPattern.lastIndex;
+    const match = tokenPattern.exec(expression);
+    if (!match) {
+      throw new Error(`cannot read expression "${expression}" at "${expression.substring(start)}"`);
+    }
+    if (match[1]) tokens.push({ number: Number(match[1]) });
+    else if (match[2] || match[3]) tokens.push({ column: match[2] || match[3] });
+    else tokens.push({ op: match[4] });
+  }
+
+  const columns = [];
+  let pos = 0;
+  const peek = () => tokens[pos] && tokens[pos].op;
+  const fail = () => {
+    throw new Error(`invalid expression "${expression}"`);
+  };
+
+  const factor = () => {
+    const token = tokens[pos++];
+    if (!token) fail();
+    if (token.number !== undefined) return () => token.number;
+    if (token.column) {
+      if (!columns.includes(token.column)) columns.push(token.column);
+      return readNumber => readNumber(token.column);
+    }
+    if (token.op === '-') {
+      const operand = factor();
+      return readNumber => -operand(readNumber);
+    }
+    if (token.op === '(') {
+      const inner = sum();
+      if (peek() !== ')') fail();
+      pos++;
+      return inner;
+    }
+    return fail();
+  };
+
+  const product = () => {
+    let left = factor();
+    while (peek() === '*' || peek() === '/') {
+      const op = tokens[pos++].op;
+      const l = left;
+      const r = factor();
+      left = op === '*'
+        ? readNumber => l(readNumber) * r(readNumber)
+        : readNumber => {
+          const divisor = r(readNumber);
+          if (divisor === 0) throw new Error('division by zero');
+          return l(readNumber) / divisor;
+        };
+    }
+    return left;
+  };
+
+  const sum = () => {
+    let left = product();
+    while (peek() === '+' || peek() === '-') {
+      const op = tokens[pos++].op;
+      const l = left;
+      const r = product();
+      left = op === '+'
+        ? readNumber => l(readNumber) + r(readNumber)
+        : readNumber => l(readNumber) - r(readNumber);
+    }
+    return left;
+  };
+
+  const evaluate = sum();
+  if (pos < tokens.length) fail();
+
+  return { evaluate, columns };
+}
+
+// Read a lookup CSV (any dialect) into a Map of key column -> value column;
+// key and value default to the first two columns
+async function loadLookup(filePath, keyColumn, valueColumn) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`lookup file ${filePath} not found`);
+  }
+
+  const lookup = new Map();
+  for await (const row of createRowStream(filePath, 'csv')) {
+    const headers = Object.keys(row);
+    const key = keyColumn || headers[0];
+    const value = valueColumn || headers[1];
+    if (!headers.includes(key) || !headers.includes(value)) {
+      throw new Error(`lookup file ${filePath} has no column ${headers.includes(key) ? value : key}`);
+    }
+    lookup.set(text(row[key]).trim(), row[value]);
+  }
+  return lookup;
+}
+
+// Step builders: options -> (value, row) => new value. Steps throw on
+// values they cannot transform.
+const STEPS = {
+  trim: () => value => text(value).trim(),
+  upper: () => value => text(value).toUpperCase(),
+  lower: () => value => text(value).toLowerCase(),
+
+  // Digits only: numbers exported as numbers (8.123456789E+9, 812345678.0)
+  // and formatted phone numbers (+62 812-3456) back to their digits, with
+  // string operations so long IDs are never rounded. Scientific notation
+  // with fewer digits than its exponent (8.12346E+12) has lost the rest.
+  digits: () => value => {
+    const current = text(value).trim();
+    if (/^\d*$/.test(current)) return value;
+
+    const scientific = current.match(/^[+-]?(\d+)(?:\.(\d+))?[eE]\+?(\d+)$/);
+    if (scientific) {
+      const [, integer, fraction = '', exponent] = scientific;
+      if (fraction.length < Number(exponent)) {
+        throw new Error(`"${current}" is in scientific notation, the original digits are lost (export the column as text)`);
+      }
+      return integer + fraction;
+    }
+
+    return current.replace(/\.0+$/, '').replace(/\D/g, '');
+  },
+
+  pad: step => {
+    if (!(step.pad >= 1)) throw new Error('pad needs a length');
+    return value => (isBlank(value) ? value : text(value).padStart(step.pad, step.char || '0'));
+  },
+
+  prefix: step => value => {
+    const current = text(value);
+    return isBlank(current) || current.startsWith(step.prefix) ? value : step.prefix + current;
+  },
+
+  replace: step => {
+    const pattern = new RegExp(step.replace, 'g');
+    return value => text(value).replace(pattern, step.with || '');
+  },
+
+  split: step => {
+    if (typeof step.split !== 'string' || step.split === '') throw new Error('split needs a separator');
+    return value => text(value).split(step.split)[step.index || 0] || '';
+  },
+
+  from: step => (value, row) => row[step.from],
+
+  constant: step => () => step.constant,
+
+  compute: (step, context) => {
+    const { evaluate, columns } = compileExpression(step.compute);
+    const unknown = columns.filter(col => !context.knownColumns(col));
+    if (unknown.length > 0) {
+      throw new Error(`compute uses unknown column(s) ${unknown.join(', ')}`);
+    }
+
+    return (value, row) => evaluate(col => {
+      // Blank operands count as 0
+      if (isBlank(row[col])) return 0;
+      if (typeof row[col] === 'number') return row[col];
+
+      const parsed = context.parseValue(col, 'numeric', row[col]);
+      if (parsed.value === null || parsed.error) {
+        throw new Error(`cannot compute ${step.compute}: ${col} ${parsed.error || `"${row[col]}" is not a number`}`);
+      }
+      return parsed.value;
+    });
+  },
+
+  lookup: (step, context) => {
+    const lookup = context.lookups.get(step.lookup);
+    return value => {
+      const key = text(value).trim();
+      if (lookup.has(key)) return lookup.get(key);
+      return step.default !== undefined ? step.default : value;
+    };
+  }
+};
+
+// Name of a step: "trim", or the step key of { "pad": 12, "char": "0" }
+function stepName(step) {
+  if (typeof step === 'string') return step;
+
+  const names = Object.keys(step || {}).filter(key => STEPS[key]);
+  if (names.length !== 1) {
+    throw new Error(`step ${JSON.stringify(step)} must name exactly one of ${Object.keys(STEPS).join(', ')}`);
+  }
+  return names[0];
+}
+
+// Create the row transformer of a table from its "transforms". Lookup
+// files are read once here. Throws on a misconfigured chain.
+// The returned function takes a mapped row and returns
+// { row, failures: [{ column, error }] }; a column whose chain fails keeps
+// the value it had before the failing step.
+async function createRowTransformer(schema) {
+  const configured = (schema && schema.transforms) || {};
+  const columns = Object.keys(configured);
+  if (columns.length === 0) {
+    return row => ({ row, failures: [] });
+  }
+
+  const declared = (schema && schema.columns) || {};
+  const context = {
+    parseValue: createValueParser(schema),
+    knownColumns: col => Object.keys(declared).length === 0 || declared[col] !== undefined || configured[col] !== undefined,
+    lookups: new Map()
+  };
+
+  // Read each lookup file once, whichever columns use it
+  for (const col of columns) {
+    for (const step of [].concat(configured[col])) {
+      if (step && step.lookup && !context.lookups.has(step.lookup)) {
+        try {
+          context.lookups.set(step.lookup, await loadLookup(step.lookup, step.key, step.value));
+        } catch (err) {
+          throw new Error(`transforms.${col}: ${err.message}`);
+        }
+      }
+    }
+  }
+
+  const chains = columns.map(col => {
+    try {
+      const steps = [].concat(configured[col]).map(step => {
+        const name = stepName(step);
+        const options = typeof step === 'string' ? {} : step;
+        if (!STEPS[name]) {
+          throw new Error(`unknown step "${name}" (expected one of ${Object.keys(STEPS).join(', ')})`);
+        }
+        return { apply: STEPS[name](options, context), ifBlank: !!options.ifBlank };
+      });
+      return { col, steps };
+    } catch (err) {
+      throw new Error(`transforms.${col}: ${err.message}`);
+    }
+  });
+
+  return (mappedRow) => {
+    const row = { ...mappedRow };
+    const failures = [];
+
+    chains.forEach(({ col, steps }) => {
+      try {
+        steps.forEach(step => {
+          if (step.ifBlank && !isBlank(row[col])) return;
+          row[col] = step.apply(row[col], row);
+        });
+        // A chain that produces nothing adds no column
+        if (row[col] === undefined) delete row[col];
+      } catch (err) {
+        failures.push({ column: col, error: `${col} ${err.message}` });
+      }
+    });
+
+    return { row, failures };
+  };
+}
+
+module.exports = {
+  createRowTransformer
+};
@@ -0,0 +1,801 @@
+const sql = require('mssql');
+const { Transform, pipeline } = require('stream');
+const { promisify } = require('util');
+const { tableExists, ensureTable, getSchema, normalizeColumnName, mapColumns, getColumnType } = require('./tableManager');
+const { getColumnMetadata, isNumericType, createBulkWriter } = require('./bulkLoader');
+const { createFileRowStream } = require('./fileReader');
+const { STAGING_MODES, getScopeConfig, resolveWriteMode, deleteScope, countScope, applyFromStaging } = require('./writeStrategy');
+const { resolveErrorPolicy, describePolicy, checkErrorPolicy } = require('./errorPolicy');
+const { RAW_ROW, REJECT_COLUMNS } = require('./rejects');
+const { VALIDATION_ERRORS, createRowValidator } = require('./validator');
+const { createValueParser, numberText } = require('./valueParser');
+const { createRowTransformer } = require('./transforms');
+const { recordLoad, findPreviousLoads, findLoad, markUndone } = require('./audit');
+const { LOAD_ID_COLUMN, addLoadTracking, undoCutoff, ensureLoadTracking, undoLoad } = require('./loadTracking');
+const { SAMPLE_VALUES, resolveSchemaEvolution, planColumnChanges, evolveSchema } = require('./schemaEvolution');
+
+const pipelineAsync = promisify(pipeline);
+
+// Converted rows returned by a dry run
+const PREVIEW_SAMPLE_ROWS = 5;
+
+// Invalid rows listed by a dry run
+const PREVIEW_INVALID_ROWS = 10;
+
+// Rows between progress reports while pre-scanning
+const SCAN_PROGRESS_INTERVAL = 1000;
+
+// Connect to database with retry
+// options: { retries, retryDelayMs, log }
+async function connectWithRetry(connConfig, options = {}) {
+  const retries = options.retries || 3;
+  const retryDelayMs = options.retryDelayMs || 2000;
+  const log = options.log || console.log;
+
+  const sqlConfig = {
+    server: connConfig.server,
+    database: connConfig.database,
+    user: connConfig.username,
+    password: connConfig.password,
+    port: parseInt(connConfig.port) || 1433,
+    options: {
+      encrypt: true,
+      trustServerCertificate: true,
+      enableArithAbort: true
+    }
+  };
+
+  for (let attempt = 1; attempt <= retries; attempt++) {
+    try {
+      log(`Connecting to ${connConfig.name} (attempt ${attempt}/${retries})...`);
+      const pool = await new sql.ConnectionPool(sqlConfig).connect();
+      log(`Connected to ${connConfig.name} successfully`);
+      return pool;
+    } catch (err) {
+      log(`Connection attempt ${attempt} failed: ${err.message}`, 'ERROR');
+
+      if (attempt === retries) {
+        throw new Error(`Failed to connect after ${retries} attempts: ${err.message}`);
+      }
+
+      // Wait before retry
+      await new Promise(resolve => setTimeout(resolve, retryDelayMs));
+    }
+  }
+}
+
+// A number written in scientific notation (8.99123E+15), as spreadsheets
+// export long numbers
+const SCIENTIFIC_PATTERN = /^[+-]?\d+(\.\d+)?[eE][+-]?\d+$/;
+
+// Spreadsheets keep 15 significant digits of a number: longer integers in
+// numeric cells have already lost the rest
+const MAX_SPREADSHEET_DIGITS = 15;
+
+// Convert a value for a column based on tableSchemas.json and its SQL type.
+// Returns { value, error }; error is set when a strict column's value
+// cannot be parsed, for ambiguous numbers and impossible dates (see
+// valueParser.js), and when an identifier column holds a number in
+// scientific notation or a spreadsheet number longer than 15 digits, whose
+// digits cannot be recovered.
+function convertValue(schema, tableName, col, value, meta, parseValue) {
+  // Handle null/undefined/empty values
+  if (value === null || value === undefined || value === '' ||
+      (typeof value === 'string' && value.trim() === '')) {
+    return { value: null, error: null };
+  }
+
+  const colType = getColumnType(tableName, col, schema);
+
+  if (colType === 'identifier') {
+    const text = typeof value === 'number' ? numberText(value) : value.toString();
+    if (typeof value === 'number' && Number.isInteger(value) && text.replace('-', '').length > MAX_SPREADSHEET_DIGITS) {
+      return { value: text, error: `${text} has more than ${MAX_SPREADSHEET_DIGITS} digits stored as a number, the original digits are lost (format the column as text)` };
+    }
+    if (SCIENTIFIC_PATTERN.test(text.trim())) {
+      return { value: text, error: `"${text}" is in scientific notation, the original digits are lost (export the column as text)` };
+    }
+    return { value: text, error: null };
+  }
+
+  if (colType === 'numeric' || colType === 'date') {
+    return parseValue(col, colType, value);
+  }
+
+  // Fallback: check SQL type
+  if (meta && isNumericType(meta.dataType)) {
+    return parseValue(col, 'numeric', value);
+  }
+
+  // String column: kept as written, never coerced to a number (which
+  // would drop leading zeros and round long IDs)
+  let stringValue = typeof value === 'number' ? numberText(value) : value.toString();
+
+  // Limit string length to prevent overflow
+  if (stringValue.length > 4000) {
+    stringValue = stringValue.substring(0, 4000);
+  }
+
+  return { value: stringValue, error: null };
+}
+
+// Build the per-row pipeline step: normalize headers -> map -> transform
+// -> convert (-> validate, when a validator is given; failures, including
+// failed transforms and values that could not be parsed, are kept on
+// the row under VALIDATION_ERRORS). The schema and lookup files are loaded
+// once here instead of once per row.
+async function createRowPreparer(tableName, columnMeta = {}, validateRow = null) {
+  const schema = getSchema(tableName);
+  const parseValue = createValueParser(schema);
+  const transformRow = await createRowTransformer(schema);
+
+  return (row) => {
+    // Normalize column names (replace spaces with underscores),
+    // dropping the bookkeeping columns of a re-ingested rejects file
+    const normalizedRow = {};
+    Object.keys(row).forEach(key => {
+      if (REJECT_COLUMNS.includes(key)) return;
+      normalizedRow[normalizeColumnName(key)] = row[key];
+    });
+
+    // Map CSV columns to SQL columns, then run the column transforms
+    const { row: mappedRow, failures: transformFailures } = transformRow(mapColumns(normalizedRow, tableName, schema));
+
+    // Convert values to the target column types
+    const convertedRow = {};
+    const parseFailures = transformFailures.slice();
+    Object.keys(mappedRow).forEach(col => {
+      if (!col) return; // Skip columns with no name
+      const { value, error } = convertValue(schema, tableName, col, mappedRow[col], columnMeta[col], parseValue);
+      convertedRow[col] = value;
+      if (error) parseFailures.push({ column: col, error: `${col} ${error}` });
+    });
+
+    if (validateRow) {
+      // A value that failed to transform or parse is reported once
+      const failures = parseFailures.concat(validateRow(mappedRow, convertedRow)
+        .filter(failure => !parseFailures.some(parsed => parsed.column === failure.column)));
+      if (failures.length > 0) {
+        convertedRow[VALIDATION_ERRORS] = failures;
+      }
+    }
+    return convertedRow;
+  };
+}
+
+// Object-mode Transform applying a row function. The original row is kept
+// under RAW_ROW so rejected rows can be written back out unchanged.
+function createRowTransform(prepareRow) {
+  return new Transform({
+    objectMode: true,
+    transform(row, encoding, callback) {
+      try {
+        const prepared = prepareRow(row);
+        prepared[RAW_ROW] = row;
+        callback(null, prepared);
+      } catch (err) {
+        callback(err);
+      }
+    }
+  });
+}
+
+// Pre-scan pass: stream the file once to count rows and collect the date
+// range and partitions (e.g. stores) used for replacement deletes,
+// without keeping rows in memory. The file's columns and the first
+// SAMPLE_VALUES values of each are kept for schema evolution.
+// onProgress({ rowsScanned }) is called every SCAN_PROGRESS_INTERVAL rows.
+async function scanFile(file, tableName, onProgress) {
+  const prepareRow = await createRowPreparer(tableName);
+  const { dateColumn, partitionColumns } = getScopeConfig(getSchema(tableName));
+  const partitions = new Map();
+  const samples = {};
+  let rowCount = 0;
+  let minDate = null;
+  let maxDate = null;
+
+  for await (const rawRow of createFileRowStream(file)) {
+    const row = prepareRow(rawRow);
+    rowCount++;
+    if (onProgress && rowCount % SCAN_PROGRESS_INTERVAL === 0) {
+      onProgress({ rowsScanned: rowCount });
+    }
+
+    Object.keys(row).forEach(col => {
+      const values = samples[col] = samples[col] || [];
+      if (row[col] !== null && values.length < SAMPLE_VALUES) {
+        values.push(row[col]);
+      }
+    });
+
+    // Get date (values that did not parse to YYYY-MM-DD stay out of the scope)
+    const dateValue = dateColumn && row[dateColumn];
+    if (dateValue && /^\d{4}-\d{2}-\d{2}/.test(dateValue)) {
+      if (!minDate || dateValue < minDate) minDate = dateValue;
+      if (!maxDate || dateValue > maxDate) maxDate = dateValue;
+    }
+
+    // Get partition (store/branch) values
+    if (partitionColumns.length > 0 && partitionColumns.every(col => row[col])) {
+      const values = partitionColumns.map(col => row[col]);
+      const key = values.join('/');
+      if (!partitions.has(key)) {
+        const partition = {};
+        partitionColumns.forEach((col, idx) => { partition[col] = values[idx]; });
+        partitions.set(key, partition);
+      }
+    }
+  }
+
+  if (onProgress) {
+    onProgress({ rowsScanned: rowCount });
+  }
+
+  return {
+    rowCount,
+    minDate,
+    maxDate,
+    partitions: Array.from(partitions.values()),
+    stores: Array.from(partitions.keys()),
+    columns: Object.keys(samples),
+    samples
+  };
+}
+
+// Stream a file into a table: parse -> normalize -> map -> transform -> convert -> bulk insert.
+// targetTable is the live table or a staging table with the same columns.
+async function streamIntoTable(transaction, targetTable, tableName, columnMeta, file, options, log) {
+  const rejects = options.rejects;
+  const writer = createBulkWriter(transaction, targetTable, columnMeta, {
+    batchSize: options.batchSize,
+    log,
+    onProgress: options.onProgress,
+    onReject: rejects && ((rowNumber, row, column, err) => rejects.add(rowNumber, row[RAW_ROW], column, err.message))
+  });
+
+  // Rows failing the tableSchemas.json validation rules never reach SQL Server
+  const validateRow = createRowValidator(getSchema(tableName), columnMeta);
+  const prepareRow = await createRowPreparer(tableName, columnMeta, validateRow);
+
+  // Tag each row with the load ID so the load can be undone
+  const loadId = options.backup && options.backup.loadId;
+  const tagRow = loadId
+    ? row => Object.assign(prepareRow(row), { [LOAD_ID_COLUMN]: loadId })
+    : prepareRow;
+
+  await pipelineAsync(
+    createFileRowStream(file),
+    createRowTransform(tagRow),
+    writer
+  );
+
+  return writer.stats;
+}
+
+// Throw (so the load is rolled back) when row errors break the error policy.
+// The thrown error carries the load stats for reporting.
+function enforceErrorPolicy(policy, stats, rowCount, log) {
+  const violation = checkErrorPolicy(policy, stats.errorCount, rowCount);
+  if (!violation) return;
+
+  log(`${violation}, rolling back`, 'ERROR');
+  const err = new Error(`${violation}, load rolled back`);
+  err.stats = stats;
+  throw err;
+}
+
+// Load rows straight into the live table inside one transaction
+// (append and replaceScope only)
+async function loadDirect(pool, writeMode, tableName, schema, columnMeta, file, scope, options, log) {
+  const transaction = new sql.Transaction(pool);
+  await transaction.begin();
+
+  try {
+    let deletedCount = 0;
+    if (writeMode === 'replaceScope') {
+      options.onProgress({ phase: 'deleting' });
+      deletedCount = await deleteScope(transaction, tableName, schema, scope, log, options.backup);
+      options.onProgress({ deletedCount });
+    } else {
+      log(`Insert only, no delete`, 'INFO');
+    }
+
+    options.onProgress({ phase: 'inserting' });
+    const stats = await streamIntoTable(transaction, tableName, tableName, columnMeta, file, options, log);
+    enforceErrorPolicy(options.errorPolicy, stats, scope.rowCount, log);
+
+    options.onProgress({ phase: 'committing' });
+    await transaction.commit();
+    return { deletedCount, ...stats };
+
+  } catch (err) {
+    await transaction.rollback();
+    throw err;
+  }
+}
+
+// Per-job staging table name, e.g. SNJ_SRP_DETAIL__STG_lq2x9k4f3a
+function stagingTableName(tableName) {
+  const suffix = Date.now().toString(36) + Math.random().toString(36).substring(2, 6);
+  return `${tableName}__STG_${suffix}`;
+}
+
+// Check the staging table before it is applied to the live table
+async function validateStaging(pool, writeMode, stagingTable, schema, stats) {
+  const countResult = await pool.request().query(`SELECT COUNT(*) AS count FROM [${stagingTable}]`);
+  const stagedCount = countResult.recordset[0].count;
+  if (stagedCount !== stats.successCount) {
+    throw new Error(`Staging row count mismatch: ${stagedCount} staged, ${stats.successCount} loaded`);
+  }
+
+  const primaryKey = (schema && schema.primaryKey) || [];
+  if (primaryKey.length > 0) {
+    const pkColumns = primaryKey.map(col => `[${col}]`).join(', ');
+    const nullCheck = primaryKey.map(col => `[${col}] IS NULL`).join(' OR ');
+
+    const nullResult = await pool.request().query(`SELECT COUNT(*) AS count FROM [${stagingTable}] WHERE ${nullCheck}`);
+    if (nullResult.recordset[0].count > 0) {
+      throw new Error(`${nullResult.recordset[0].count} staged rows have NULL primary key (${primaryKey.join(', ')})`);
+    }
+
+    // insertIgnoreDuplicates keeps the first of duplicated keys instead
+    if (writeMode !== 'insertIgnoreDuplicates') {
+      const dupResult = await pool.request().query(`
+        SELECT COUNT(*) AS count FROM (
+          SELECT ${pkColumns} FROM [${stagingTable}] GROUP BY ${pkColumns} HAVING COUNT(*) > 1
+        ) d
+      `);
+      if (dupResult.recordset[0].count > 0) {
+        throw new Error(`${dupResult.recordset[0].count} duplicate primary keys (${primaryKey.join(', ')}) in staged rows`);
+      }
+    }
+  }
+
+  return stagedCount;
+}
+
+// Load rows into a per-job staging table first, validate them there, then
+// update the live table in one short transaction according to the write mode
+// (see writeStrategy.js). Readers of the live table never see a half-loaded file.
+async function loadViaStaging(pool, writeMode, tableName, schema, columnMeta, file, scope, options, log) {
+  const stagingTable = stagingTableName(tableName);
+  // IDENTITY values are generated by the live table, not copied from staging
+  const columns = Object.keys(columnMeta).filter(col => !columnMeta[col].identity);
+
+  log(`Loading into staging table ${stagingTable}`);
+  await pool.request().query(`SELECT TOP 0 * INTO [${stagingTable}] FROM [${tableName}]`);
+
+  try {
+    const stagingTransaction = new sql.Transaction(pool);
+    await stagingTransaction.begin();
+
+    let stats;
+    try {
+      options.onProgress({ phase: 'staging' });
+      stats = await streamIntoTable(stagingTransaction, stagingTable, tableName, columnMeta, file, options, log);
+      await stagingTransaction.commit();
+    } catch (err) {
+      await stagingTransaction.rollback();
+      throw err;
+    }
+
+    options.onProgress({ phase: 'validating' });
+    enforceErrorPolicy(options.errorPolicy, stats, scope.rowCount, log);
+    const stagedCount = await validateStaging(pool, writeMode, stagingTable, schema, stats);
+    log(`Staging validated: ${stagedCount} rows`);
+
+    // Apply to the live table in one short transaction
+    options.onProgress({ phase: 'applying' });
+    const transaction = new sql.Transaction(pool);
+    await transaction.begin();
+
+    try {
+      const { deletedCount, appliedCount } = await applyFromStaging(
+        transaction, writeMode, tableName, schema, stagingTable, columns, scope, log, options.backup
+      );
+
+      await transaction.commit();
+      options.onProgress({ deletedCount, appliedCount });
+      log(`Applied ${appliedCount} rows from staging to ${tableName}`);
+      return { deletedCount, ...stats };
+
+    } catch (err) {
+      await transaction.rollback();
+      throw err;
+    }
+
+  } finally {
+    try {
+      await pool.request().query(`IF OBJECT_ID(N'[${stagingTable}]', N'U') IS NOT NULL DROP TABLE [${stagingTable}]`);
+    } catch (dropErr) {
+      log(`Could not drop staging table ${stagingTable}: ${dropErr.message}`, 'WARN');
+    }
+  }
+}
+
+// Resolve write mode, staging and error policy for a load
+function resolveLoadSettings(tableName, schema, file, options, log) {
+  let writeMode = resolveWriteMode(tableName, schema, options.writeMode);
+
+  // A re-ingested rejects file only holds the corrected rows, so replacing
+  // its scope would delete the rows that loaded the first time
+  if (file.isRejects && writeMode === 'replaceScope') {
+    log(`Rejects file: appending instead of replacing scope`, 'WARN');
+    writeMode = 'append';
+  }
+
+  // upsert / insertIgnoreDuplicates always compare against staged rows
+  const useStaging = STAGING_MODES.includes(writeMode) ||
+    (options.staging !== undefined ? options.staging : !!schema.staging);
+
+  // Staged loads are all-or-nothing unless a policy says otherwise
+  const errorPolicy = resolveErrorPolicy(schema, options.errorPolicy, useStaging ? 'strict' : 'lenient');
+
+  return { writeMode, useStaging, errorPolicy };
+}
+
+// Short description of an earlier load from the audit table
+function describeLoad(load) {
+  return {
+    jobId: load.JobId,
+    fileName: load.FileName,
+    loadedAt: load.StartedAt instanceof Date ? load.StartedAt.toISOString() : load.StartedAt
+  };
+}
+
+// Compare the file's fingerprint (content hash + table + scope) with earlier
+// successful loads on this connection. Returns { duplicateOf, sameScope }:
+// duplicateOf is the earlier load of the same content (or null), sameScope
+// lists loads of other content covering the same dates and stores.
+async function checkPreviousLoads(pool, tableName, fileHash, scope, log) {
+  const previous = await findPreviousLoads(pool, tableName, fileHash, scope);
+  const duplicateOf = previous.exact ? describeLoad(previous.exact) : null;
+  const sameScope = previous.sameScope.map(describeLoad);
+
+  sameScope.forEach(load => {
+    log(`Same date range and stores as ${load.fileName} (loaded ${load.loadedAt}) but different content`, 'WARN');
+  });
+
+  return { duplicateOf, sameScope };
+}
+
+// Upload a file into a table on one connection.
+// file: { filePath, fileType, sheet, dialect, layout } (sheet: workbook sheet name,
+//       default the first; dialect: CSV dialect, default detected;
+//       layout: fixed-width layout)
+// options: { log, retries, retryDelayMs, batchSize, scope,
+//            writeMode (defaults to the table's "writeMode" in tableSchemas.json),
+//            staging (defaults to the table's "staging" flag),
+//            errorPolicy (defaults to the table's "errorPolicy", see errorPolicy.js),
+//            rejects (collector from rejects.js for failed rows),
+//            onProgress({ phase, rowsScanned, batch, rowsProcessed, successCount,
+//                         errorCount, deletedCount, appliedCount }),
+//            audit ({ jobId, fileName, fileHash, source, userName } to record
+//                   the load in the audit table, see audit.js),
+//            duplicates ('skip' or 'reject' a file already loaded into the
+//                        table, checked when audit.fileHash is set),
+//            force (load a duplicate anyway) }
+async function uploadToDatabase(connConfig, file, tableName, options = {}) {
+  const log = options.log || console.log;
+  const schema = getSchema(tableName) || {};
+  const { writeMode, useStaging, errorPolicy } = resolveLoadSettings(tableName, schema, file, options, log);
+  const onProgress = options.onProgress || (() => {});
+  const startedAt = new Date();
+  let pool;
+  let scope = null;
+  let outcome = null;
+
+  try {
+    // Date range and stores come from a pre-scan, not from rows in memory
+    scope = options.scope || await scanFile(file, tableName, onProgress);
+    log(`Write mode: ${writeMode}`);
+    log(`Error policy: ${describePolicy(errorPolicy)}`);
+    log(`Date range: ${scope.minDate || 'N/A'} to ${scope.maxDate || 'N/A'}`);
+    log(`Stores/Branches: ${scope.stores.length > 0 ? scope.stores.join(', ') : 'N/A'}`);
+
+    // Connect with retry
+    onProgress({ phase: 'connecting' });
+    pool = await connectWithRetry(connConfig, options);
+
+    // Same content already loaded into this table? Skip or reject it unless forced
+    let previous = { duplicateOf: null, sameScope: [] };
+    if (options.audit && options.audit.fileHash) {
+      previous = await checkPreviousLoads(pool, tableName, options.audit.fileHash, scope, log);
+    }
+    if (previous.duplicateOf) {
+      const message = `Duplicate file: same content as ${previous.duplicateOf.fileName} loaded into ${tableName} at ${previous.duplicateOf.loadedAt}`;
+
+      if (options.force) {
+        log(`${message}; loading again (forced)`, 'WARN');
+      } else if (options.duplicates === 'reject') {
+        const err = new Error(`${message}. Use force to load it again.`);
+        err.duplicateOf = previous.duplicateOf;
+        throw err;
+      } else {
+        log(`${message}; skipped`, 'WARN');
+        outcome = { status: 'skipped', deletedCount: 0, successCount: 0, errorCount: 0, errorMessage: message };
+
+        return {
+          success: true,
+          skipped: true,
+          duplicateOf: previous.duplicateOf,
+          writeMode,
+          errorPolicy: errorPolicy.mode,
+          rowCount: scope.rowCount,
+          deletedCount: 0,
+          successCount: 0,
+          errorCount: 0,
+          dateRange: `${scope.minDate || 'N/A'} to ${scope.maxDate || 'N/A'}`,
+          stores: scope.stores,
+          errors: []
+        };
+      }
+    }
+
+    // Ensure table exists (create if not)
+    const wasCreated = await ensureTable(pool, tableName);
+    if (wasCreated) {
+      log(`Table ${tableName} was created`, 'SUCCESS');
+      await addLoadTracking(pool, tableName, log);
+    }
+
+    // New file columns: ignore, fail or add them (tableSchemas.json -> schemaEvolution)
+    const tableColumns = Object.keys(await getColumnMetadata(pool, tableName));
+    const schemaChanges = await evolveSchema(pool, tableName, schema, tableColumns, scope, log);
+
+    // Tag rows with the job ID and keep the rows the load deletes or
+    // overwrites, so it can be undone (see loadTracking.js)
+    const loadId = options.audit && options.audit.jobId;
+    const backup = loadId ? await ensureLoadTracking(pool, tableName, schema, loadId, log) : null;
+
+    // Get table column metadata
+    const columnMeta = await getColumnMetadata(pool, tableName);
+
+    const loadOptions = { ...options, errorPolicy, onProgress, backup };
+    const { deletedCount, successCount, errorCount, errors } = useStaging
+      ? await loadViaStaging(pool, writeMode, tableName, schema, columnMeta, file, scope, loadOptions, log)
+      : await loadDirect(pool, writeMode, tableName, schema, columnMeta, file, scope, loadOptions, log);
+
+    log(`Upload to ${connConfig.name} completed: ${successCount} success, ${errorCount} errors`, 'SUCCESS');
+    outcome = { status: 'success', deletedCount, successCount, errorCount };
+
+    return {
+      success: true,
+      writeMode,
+      errorPolicy: errorPolicy.mode,
+      rowCount: scope.rowCount,
+      deletedCount,
+      successCount,
+      errorCount,
+      dateRange: `${scope.minDate || 'N/A'} to ${scope.maxDate || 'N/A'}`,
+      stores: scope.stores,
+      sameScope: previous.sameScope,
+      schemaChanges,
+      errors
+    };
+
+  } catch (err) {
+    // err.stats is set when the error policy rolled the load back
+    const stats = err.stats || {};
+    let status = 'failed';
+    if (err.stats) status = 'rolledBack';
+    if (err.duplicateOf) status = 'duplicate';
+
+    outcome = {
+      status,
+      deletedCount: 0,
+      successCount: 0,
+      errorCount: stats.errorCount || 0,
+      errorMessage: err.message
+    };
+    throw err;
+
+  } finally {
+    if (pool) {
+      if (options.audit) {
+        await auditLoad(pool, connConfig, tableName, writeMode, scope, outcome, startedAt, options.audit, log);
+      }
+      await pool.close();
+    }
+  }
+}
+
+// Record a finished (or failed) load in the audit table. A failing audit
+// write is logged but does not change the outcome of the load.
+async function auditLoad(pool, connConfig, tableName, writeMode, scope, outcome, startedAt, audit, log) {
+  try {
+    await recordLoad(pool, {
+      ...audit,
+      connectionName: connConfig.name,
+      tableName,
+      writeMode,
+      dateFrom: scope && scope.minDate,
+      dateTo: scope && scope.maxDate,
+      stores: scope ? scope.stores : [],
+      totalRows: scope ? scope.rowCount : 0,
+      deletedCount: outcome.deletedCount,
+      insertedCount: outcome.successCount,
+      failedCount: outcome.errorCount,
+      startedAt,
+      finishedAt: new Date(),
+      status: outcome.status,
+      errorMessage: outcome.errorMessage
+    });
+  } catch (err) {
+    log(`Could not write audit record: ${err.message}`, 'WARN');
+  }
+}
+
+// Dry run: do everything an upload would do short of writing. Rows are
+// parsed, mapped, converted and validated, the scope delete is counted
+// with a SELECT, and the table is not created if it is missing.
+// Takes the same arguments as uploadToDatabase.
+async function previewUpload(connConfig, file, tableName, options = {}) {
+  const log = options.log || console.log;
+  const schema = getSchema(tableName) || {};
+  const { writeMode, errorPolicy } = resolveLoadSettings(tableName, schema, file, options, log);
+  let pool;
+
+  try {
+    const scope = options.scope || await scanFile(file, tableName);
+
+    pool = await connectWithRetry(connConfig, options);
+
+    // Without a live table, compare against the columns in tableSchemas.json
+    const exists = await tableExists(pool, tableName);
+    const columnMeta = exists ? await getColumnMetadata(pool, tableName) : {};
+    const tableColumns = (exists ? Object.keys(columnMeta) : Object.keys(schema.columns || {}))
+      .filter(col => col !== LOAD_ID_COLUMN);
+
+    // Duplicate / same-scope check, as the real load would do it
+    let previous = { duplicateOf: null, sameScope: [] };
+    if (options.audit && options.audit.fileHash) {
+      previous = await checkPreviousLoads(pool, tableName, options.audit.fileHash, scope, log);
+    }
+
+    let deleteCount = null;
+    if (writeMode === 'replaceScope') {
+      deleteCount = exists ? await countScope(pool, tableName, schema, scope) : 0;
+    }
+
+    // Stream the file through the same steps as a real load, without a writer
+    const prepareRow = await createRowPreparer(tableName, columnMeta, createRowValidator(schema, columnMeta));
+    const fileColumns = new Set();
+    const sampleRows = [];
+    const invalidRows = [];
+    let invalidCount = 0;
+    let rowNumber = 0;
+
+    for await (const rawRow of createFileRowStream(file)) {
+      const row = prepareRow(rawRow);
+      rowNumber++;
+
+      Object.keys(row).forEach(col => fileColumns.add(col));
+
+      const failures = row[VALIDATION_ERRORS];
+      if (failures) {
+        invalidCount++;
+        if (invalidRows.length < PREVIEW_INVALID_ROWS) {
+          invalidRows.push({
+            row: rowNumber,
+            column: [...new Set(failures.map(failure => failure.column))].join(', '),
+            error: failures.map(failure => failure.error).join('; ')
+          });
+        }
+      } else if (sampleRows.length < PREVIEW_SAMPLE_ROWS) {
+        sampleRows.push(row);
+      }
+    }
+
+    const unknownColumns = [...fileColumns].filter(col => !tableColumns.includes(col));
+    const missingColumns = tableColumns.filter(col => !fileColumns.has(col));
+
+    // What the load would do with the unknown columns
+    const schemaEvolution = resolveSchemaEvolution(tableName, schema);
+    const schemaChanges = schemaEvolution === 'addColumn'
+      ? planColumnChanges(schema, unknownColumns, scope.samples)
+      : [];
+    const schemaViolation = schemaEvolution === 'fail' && unknownColumns.length > 0
+      ? `Columns missing from ${tableName}: ${unknownColumns.join(', ')} (schemaEvolution: fail)`
+      : null;
+
+    log(`Dry run on ${connConfig.name}: ${scope.rowCount} rows, ${invalidCount} invalid` +
+      (deleteCount !== null ? `, ${deleteCount} existing rows would be deleted` : ''));
+
+    return {
+      success: true,
+      dryRun: true,
+      writeMode,
+      errorPolicy: errorPolicy.mode,
+      tableExists: exists,
+      duplicateOf: previous.duplicateOf,
+      sameScope: previous.sameScope,
+      rowCount: scope.rowCount,
+      deleteCount,
+      dateRange: `${scope.minDate || 'N/A'} to ${scope.maxDate || 'N/A'}`,
+      stores: scope.stores,
+      unknownColumns,
+      missingColumns,
+      schemaEvolution,
+      schemaChanges,
+      schemaViolation,
+      invalidCount,
+      invalidRows,
+      policyViolation: checkErrorPolicy(errorPolicy, invalidCount, scope.rowCount),
+      sampleRows
+    };
+
+  } finally {
+    if (pool) {
+      await pool.close();
+    }
+  }
+}
+
+// Undo a job's load on one connection: remove the rows it wrote, restore the
+// rows it replaced, and mark it undone in the audit table. The undo itself
+// is recorded in the audit table under the same job ID with writeMode "undo".
+// options: { log, retries, retryDelayMs, audit ({ source, userName }) }
+async function undoUpload(connConfig, loadId, options = {}) {
+  const log = options.log || console.log;
+  const startedAt = new Date();
+  let pool;
+  let load = null;
+  let outcome = null;
+
+  try {
+    pool = await connectWithRetry(connConfig, options);
+
+    load = await findLoad(pool, loadId);
+    if (!load) {
+      throw new Error(`No successful load for job ${loadId} on ${connConfig.name}`);
+    }
+    // The backup rows of older loads have been (or will be) purged
+    const cutoff = undoCutoff(getSchema(load.TableName));
+    if (load.StartedAt < cutoff) {
+      throw new Error(`Load of ${load.FileName} is older than ${cutoff.toISOString().substring(0, 10)} and can no longer be undone`);
+    }
+
+    log(`Undoing load of ${load.FileName} into ${load.TableName} on ${connConfig.name}`);
+    const { removedCount, restoredCount } = await undoLoad(pool, load.TableName, loadId, load.InsertedCount, log);
+    await markUndone(pool, loadId);
+
+    log(`Undo on ${connConfig.name} completed: ${removedCount} removed, ${restoredCount} restored`, 'SUCCESS');
+    outcome = { status: 'success', deletedCount: removedCount, successCount: restoredCount, errorCount: 0 };
+
+    return {
+      success: true,
+      tableName: load.TableName,
+      fileName: load.FileName,
+      removedCount,
+      restoredCount
+    };
+
+  } catch (err) {
+    outcome = { status: 'failed', deletedCount: 0, successCount: 0, errorCount: 0, errorMessage: err.message };
+    throw err;
+
+  } finally {
+    if (pool) {
+      if (load) {
+        const scope = {
+          minDate: load.DateFrom,
+          maxDate: load.DateTo,
+          stores: load.Stores ? load.Stores.split(', ') : [],
+          rowCount: 0
+        };
+        const audit = { ...options.audit, jobId: loadId, fileName: load.FileName };
+        await auditLoad(pool, connConfig, load.TableName, 'undo', scope, outcome, startedAt, audit, log);
+      }
+      await pool.close();
+    }
+  }
+}
+
+module.exports = {
+  connectWithRetry,
+  scanFile,
+  uploadToDatabase,
+  previewUpload,
+  undoUpload
+};
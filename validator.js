@@ -0,0 +1,132 @@
+// Key under which a prepared row carries its validation failures
+// (a Symbol, so it never shows up as a column)
+const VALIDATION_ERRORS = Symbol('validationErrors');
+
+// Get the max length from a declared type, e.g. NVARCHAR(20) -> 20 (MAX -> null)
+function declaredMaxLength(type) {
+  const match = (type || '').match(/^\s*n?(?:var)?char\s*\(\s*(\d+)\s*\)/i);
+  return match ? parseInt(match[1]) : null;
+}
+
+// Date value as YYYY-MM-DD, or null if it cannot be read as a date
+function toIsoDate(value) {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value.toISOString().substring(0, 10);
+  }
+
+  const text = value.toString();
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) return text.substring(0, 10);
+
+  const time = Date.parse(text);
+  return isNaN(time) ? null : new Date(time).toISOString().substring(0, 10);
+}
+
+// Build the rule set for each column from tableSchemas.json:
+//   "validation": {
+//     "No_Faktur": { "required": true, "regex": "^[A-Z0-9./-]+$" },
+//     "Gudang": { "allowedValues": ["GUDANG UTAMA", "TOKO 1"] },
+//     "Kuantitas": { "min": 0, "max": 100000 },
+//     "Tanggal": { "minDate": "2020-01-01", "maxDate": "2030-12-31" }
+//   }
+// maxLength comes from the declared type in "columns" (or the live table),
+// primary key columns are always required.
+function buildRules(schema, columnMeta) {
+  const rules = {};
+  const declared = schema.columns || {};
+  const configured = schema.validation || {};
+  const ruleFor = col => (rules[col] = rules[col] || {});
+
+  Object.keys(declared).forEach(col => {
+    const maxLength = declaredMaxLength(declared[col]);
+    if (maxLength) ruleFor(col).maxLength = maxLength;
+  });
+
+  Object.keys(columnMeta).forEach(col => {
+    const meta = columnMeta[col];
+    if (!declared[col] && meta.maxLength > 0 && /char/.test(meta.dataType)) {
+      ruleFor(col).maxLength = meta.maxLength;
+    }
+  });
+
+  (schema.primaryKey || []).forEach(col => {
+    ruleFor(col).required = true;
+  });
+
+  Object.keys(configured).forEach(col => {
+    const rule = Object.assign(ruleFor(col), configured[col]);
+    if (rule.regex) {
+      rule.regexp = new RegExp(rule.regex);
+    }
+    if (rule.allowedValues) {
+      rule.allowed = new Set(rule.allowedValues.map(value => value.toString()));
+    }
+  });
+
+  (schema.numericColumns || []).forEach(col => { ruleFor(col).numeric = true; });
+  (schema.dateColumns || []).forEach(col => { ruleFor(col).date = true; });
+
+  return rules;
+}
+
+// Check one column value; returns the failure message or null
+function checkValue(rule, sourceValue, value) {
+  if (value === null || value === undefined) {
+    if (rule.numeric && sourceValue !== null && sourceValue !== undefined && sourceValue.toString().trim() !== '') {
+      return `"${sourceValue}" is not a number`;
+    }
+    return rule.required ? 'is required' : null;
+  }
+
+  if (rule.numeric) {
+    if (rule.min !== undefined && value < rule.min) return `${value} is below minimum ${rule.min}`;
+    if (rule.max !== undefined && value > rule.max) return `${value} is above maximum ${rule.max}`;
+  }
+
+  if (rule.date) {
+    const isoDate = toIsoDate(value);
+    if (!isoDate) return `"${sourceValue}" is not a valid date`;
+    if (rule.minDate && isoDate < rule.minDate) return `${isoDate} is before ${rule.minDate}`;
+    if (rule.maxDate && isoDate > rule.maxDate) return `${isoDate} is after ${rule.maxDate}`;
+  }
+
+  const text = value instanceof Date ? value.toISOString() : value.toString();
+
+  if (rule.maxLength && text.length > rule.maxLength) {
+    return `length ${text.length} exceeds maximum ${rule.maxLength}`;
+  }
+  if (rule.regexp && !rule.regexp.test(text)) {
+    return `"${text}" does not match ${rule.regex}`;
+  }
+  if (rule.allowed && !rule.allowed.has(text)) {
+    return `"${text}" is not an allowed value`;
+  }
+
+  return null;
+}
+
+// Create a row validator for a table. The returned function takes the
+// mapped row (before conversion) and the converted row, and returns
+// a list of { column, error } failures (empty when the row is valid).
+function createRowValidator(schema, columnMeta = {}) {
+  const rules = buildRules(schema || {}, columnMeta);
+  const ruleColumns = Object.keys(rules);
+
+  return (sourceRow, row) => {
+    const failures = [];
+
+    ruleColumns.forEach(col => {
+      const message = checkValue(rules[col], sourceRow[col], row[col]);
+      if (message) {
+        failures.push({ column: col, error: `${col} ${message}` });
+      }
+    });
+
+    return failures;
+  };
+}
+
+module.exports = {
+  VALIDATION_ERRORS,
+  declaredMaxLength,
+  createRowValidator
+};
@@ -0,0 +1,372 @@
+// Shared number and date parser used by every load path (web upload, file
+// watcher, dry run). Formats are declared per column in tableSchemas.json:
+//   "locale": "id-ID",                       default for numeric columns
+//   "strictParsing": true,                   flag values that cannot be parsed
+//   "formats": {
+//     "Kuantitas": { "locale": "id-ID" },
+//     "Tanggal": { "format": ["DD/MM/YYYY", "excel"], "strict": true }
+//   }
+// Without a declaration numbers and dates are read the way they always
+// were (separators guessed, "25 Nov 2025" and DD-MM-YYYY dates, anything
+// else handed to SQL Server). Strict columns report values that cannot be
+// parsed as row failures. Numbers whose separators are ambiguous and ISO
+// dates that do not exist (2025-13-45) are reported on every column.
+
+const MONTHS = {
+  'jan': 1, 'feb': 2, 'mar': 3, 'apr': 4,
+  'may': 5, 'mei': 5, 'jun': 6, 'jul': 7,
+  'aug': 8, 'agu': 8, 'agt': 8, 'sep': 9, 'oct': 10,
+  'okt': 10, 'nov': 11, 'dec': 12, 'des': 12
+};
+
+// Excel day 0 (serial dates count days from here; 1900 leap-year bug included)
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+
+// Largest Excel serial date (9999-12-31)
+const MAX_EXCEL_SERIAL = 2958465;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// ISO date with optional time, fraction and zone
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// Date format tokens, longest first
+const DATE_TOKENS = {
+  YYYY: { field: 'year', pattern: '(\\d{4})' },
+  YY: { field: 'year', pattern: '(\\d{2})' },
+  MMM: { field: 'monthName', pattern: '([A-Za-z]+)' },
+  MM: { field: 'month', pattern: '(\\d{2})' },
+  M: { field: 'month', pattern: '(\\d{1,2})' },
+  DD: { field: 'day', pattern: '(\\d{2})' },
+  D: { field: 'day', pattern: '(\\d{1,2})' },
+  HH: { field: 'hour', pattern: '(\\d{2})' },
+  H: { field: 'hour', pattern: '(\\d{1,2})' },
+  mm: { field: 'minute', pattern: '(\\d{2})' },
+  ss: { field: 'second', pattern: '(\\d{2})' }
+};
+const DATE_TOKEN_PATTERN = /YYYY|YY|MMM|MM|M|DD|D|HH|H|mm|ss/g;
+
+const numberSymbolCache = new Map();
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function pad(number, length = 2) {
+  return number.toString().padStart(length, '0');
+}
+
+// Group and decimal separators of a locale, e.g. id-ID -> { group: '.', decimal: ',' }
+function numberSymbols(locale) {
+  if (!numberSymbolCache.has(locale)) {
+    if (Intl.NumberFormat.supportedLocalesOf(locale).length === 0) {
+      throw new Error(`Unknown locale "${locale}"`);
+    }
+    const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+    const symbol = type => (parts.find(part => part.type === type) || {}).value;
+    numberSymbolCache.set(locale, { group: symbol('group') || '', decimal: symbol('decimal') || '.' });
+  }
+  return numberSymbolCache.get(locale);
+}
+
+// Number from text with known separators, or null if it does not fit them
+// (grouping is optional but has to be in threes)
+function parseWithSymbols(text, group, decimal) {
+  const groupPattern = group ? `|\\d{1,3}(?:${escapeRegExp(group)}\\d{3})+` : '';
+  const pattern = new RegExp(`^([+-]?)(\\d+${groupPattern})(?:${escapeRegExp(decimal)}(\\d+))?$`);
+  const match = text.match(pattern);
+  if (!match) return null;
+
+  const integer = group ? match[2].split(group).join('') : match[2];
+  return Number(`${match[1]}${integer}${match[3] ? `.${match[3]}` : ''}`);
+}
+
+// Guess the separators of a number without a declared locale. Returns
+// { value, ambiguous }: a single separator followed by exactly three
+// digits ("1.500", "1,500") can be either, and is read as the decimal point.
+function guessNumber(text) {
+  if (/^[+-]?\d+(\.\d+)?[eE][+-]?\d+$/.test(text)) {
+    return { value: Number(text), ambiguous: false };
+  }
+
+  const dots = (text.match(/\./g) || []).length;
+  const commas = (text.match(/,/g) || []).length;
+
+  if (dots > 0 && commas > 0) {
+    // Both used: the last one is the decimal separator
+    const decimal = text.lastIndexOf('.') > text.lastIndexOf(',') ? '.' : ',';
+    return { value: parseWithSymbols(text, decimal === '.' ? ',' : '.', decimal), ambiguous: false };
+  }
+
+  const separator = dots > 0 ? '.' : (commas > 0 ? ',' : null);
+  if (!separator) {
+    return { value: parseWithSymbols(text, '', '.'), ambiguous: false };
+  }
+
+  // Repeated: thousands separator ("1.500.000")
+  if (dots + commas > 1) {
+    return { value: parseWithSymbols(text, separator, separator === '.' ? ',' : '.'), ambiguous: false };
+  }
+
+  const ambiguous = /^[+-]?\d{1,3}[.,]\d{3}$/.test(text);
+  return { value: parseWithSymbols(text, '', separator), ambiguous };
+}
+
+// Parse a number. options: { locale } (e.g. "id-ID"; guessed when absent).
+// Returns { value, error }: value is null when the text is not a number;
+// error is set for unreadable text and for ambiguous guesses (value then
+// holds the guess, and report is true).
+// Numbers (from spreadsheet cells) are taken as they are, never re-read
+// as text.
+function parseNumber(value, options = {}) {
+  if (value === null || value === undefined || value === '') {
+    return { value: null, error: null };
+  }
+  if (typeof value === 'number') {
+    return { value: isNaN(value) ? null : value, error: null };
+  }
+
+  let text = value.toString().trim();
+  if (text === '') return { value: null, error: null };
+
+  if (options.locale) {
+    const { group, decimal } = numberSymbols(options.locale);
+    // Space-like group separators (fr-FR etc.) are often typed as plain spaces
+    if (/^\s$/.test(group)) text = text.replace(/\s/g, group);
+
+    const scientific = text.match(new RegExp(`^([+-]?\\d+)(?:${escapeRegExp(decimal)}(\\d+))?([eE][+-]?\\d+)$`));
+    const number = scientific
+      ? Number(`${scientific[1]}.${scientific[2] || 0}${scientific[3]}`)
+      : parseWithSymbols(text, group, decimal);
+    return number === null
+      ? { value: null, error: `"${value}" is not a number in ${options.locale} format` }
+      : { value: number, error: null };
+  }
+
+  const guess = guessNumber(text);
+  if (guess.value === null || isNaN(guess.value)) {
+    return { value: null, error: `"${value}" is not a number` };
+  }
+  if (guess.ambiguous) {
+    return { value: guess.value, error: `"${value}" is ambiguous (decimal or thousands separator); declare a locale`, report: true };
+  }
+  return { value: guess.value, error: null };
+}
+
+// Text of a number in plain digits, never in scientific notation
+// (1e-7 -> "0.0000001", 1.2e21 -> "1200000000000000000000")
+function numberText(value) {
+  return value.toLocaleString('fullwide', { useGrouping: false, maximumFractionDigits: 20 });
+}
+
+// ISO text for date parts, or null if they are not a real date/time
+function isoDate({ year, month, day, hour = 0, minute = 0, second = 0 }, withTime) {
+  const date = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day ||
+      hour > 23 || minute > 59 || second > 59) {
+    return null;
+  }
+
+  const text = `${pad(year, 4)}-${pad(month)}-${pad(day)}`;
+  return withTime ? `${text} ${pad(hour)}:${pad(minute)}:${pad(second)}` : text;
+}
+
+// Date for an ISO date text (as parseDate returns), with the time read as
+// UTC unless the text has a zone. mssql sends Date values as UTC, so the
+// stored date is the one in the text whatever the host time zone (tedious
+// would read a date-time string in local time). Other values are returned
+// unchanged.
+function utcDate(value) {
+  if (typeof value !== 'string') return value;
+
+  const text = value.trim();
+  const iso = text.match(ISO_DATE_PATTERN);
+  if (!iso) return value;
+
+  const zone = text.match(/(Z|[+-]\d{2}:?\d{2})$/);
+  if (iso[4] !== undefined && zone) {
+    const offset = zone[1] === 'Z' ? 'Z' : zone[1].replace(/^([+-]\d{2}):?(\d{2})$/, '$1:$2');
+    return new Date(text.substring(0, text.length - zone[1].length).replace(' ', 'T') + offset);
+  }
+
+  const [year, month, day, hour, minute, second] = iso.slice(1, 7).map(part => Number(part || 0));
+  const fraction = text.match(/:\d{2}(\.\d+)/);
+  const ms = fraction ? Math.round(Number(fraction[1]) * 1000) : 0;
+  return new Date(Date.UTC(year, month - 1, day, hour, minute, second, ms));
+}
+
+// ISO date (with time when the serial has a fraction) for an Excel serial
+// date such as 45621 or 45621.5, or null if it is out of range
+function excelSerialDate(serial) {
+  if (!(serial >= 1 && serial <= MAX_EXCEL_SERIAL)) return null;
+
+  const date = new Date(EXCEL_EPOCH + Math.round(serial * MS_PER_DAY / 1000) * 1000);
+  const iso = date.toISOString();
+  return Number.isInteger(serial) ? iso.substring(0, 10) : `${iso.substring(0, 10)} ${iso.substring(11, 19)}`;
+}
+
+// Compile a date format such as "DD/MM/YYYY" or "D MMM YYYY HH:mm" into
+// a parser returning the ISO date for matching text, or null. "excel"
+// reads Excel serial dates.
+function compileDateFormat(format) {
+  if (format === 'excel') {
+    const read = text => (/^\d+(\.\d+)?$/.test(text) ? excelSerialDate(Number(text)) : null);
+    read.formatName = format;
+    return read;
+  }
+
+  const fields = [];
+  let pattern = '';
+  let last = 0;
+  format.replace(DATE_TOKEN_PATTERN, (token, offset) => {
+    pattern += escapeRegExp(format.substring(last, offset)) + DATE_TOKENS[token].pattern;
+    fields.push(DATE_TOKENS[token].field);
+    last = offset + token.length;
+    return token;
+  });
+  pattern += escapeRegExp(format.substring(last));
+
+  if (!fields.includes('year') || !fields.some(field => field === 'month' || field === 'monthName') || !fields.includes('day')) {
+    throw new Error(`Date format "${format}" needs a year, month and day (e.g. DD/MM/YYYY)`);
+  }
+
+  const regex = new RegExp(`^${pattern}$`, 'i');
+  const withTime = fields.includes('hour');
+
+  const read = (text) => {
+    const match = text.match(regex);
+    if (!match) return null;
+
+    const parts = {};
+    fields.forEach((field, i) => {
+      const part = match[i + 1];
+      if (field === 'monthName') {
+        parts.month = MONTHS[part.toLowerCase().substring(0, 3)];
+      } else {
+        parts[field] = Number(part);
+      }
+    });
+    if (!parts.month) return null;
+    if (parts.year < 100) parts.year += 2000;
+
+    return isoDate(parts, withTime);
+  };
+  read.formatName = format;
+  return read;
+}
+
+// Dates read without a declared format: "25 Nov 2025" / "25-Nov-2025"
+// and DD-MM-YYYY. Digits alone are never taken as serial dates here
+// ("0012" is a code, not 1900-01-11); declare "excel" for those.
+function defaultDate(text) {
+  const named = text.match(/(\d{1,2})\s*-?\s*([a-z]+)\s*-?\s*(\d{4})/i);
+  if (named && MONTHS[named[2].toLowerCase().substring(0, 3)]) {
+    return isoDate({ year: Number(named[3]), month: MONTHS[named[2].toLowerCase().substring(0, 3)], day: Number(named[1]) });
+  }
+
+  const dmy = text.match(/^(\d{2})-(\d{2})-(\d{4})$/);
+  if (dmy) {
+    return isoDate({ year: Number(dmy[3]), month: Number(dmy[2]), day: Number(dmy[1]) });
+  }
+
+  return null;
+}
+
+// Parse a date. options: { format } (one format or a list, tried in
+// order; compiled formats from compileDateFormat are accepted too). ISO
+// dates are always accepted, if they exist. Numbers are Excel serial dates.
+// Returns { value, error }: value is the ISO date ("YYYY-MM-DD", with
+// " HH:mm:ss" when the format has a time) or, when the text cannot be
+// read, the text itself for SQL Server to try. An ISO date that does not
+// exist gives value null and report true.
+function parseDate(value, options = {}) {
+  if (value === null || value === undefined || value === '') {
+    return { value: null, error: null };
+  }
+  if (value instanceof Date) {
+    return isNaN(value.getTime())
+      ? { value: null, error: 'is not a valid date' }
+      : { value: value.toISOString().substring(0, 10), error: null };
+  }
+  // Numbers are serial dates from numeric spreadsheet cells
+  if (typeof value === 'number') {
+    const iso = excelSerialDate(value);
+    return iso ? { value: iso, error: null } : { value: null, error: `${value} is not an Excel serial date` };
+  }
+
+  const text = value.toString().trim();
+  if (text === '') return { value: null, error: null };
+
+  const iso = text.match(ISO_DATE_PATTERN);
+  if (iso) {
+    const [year, month, day, hour, minute, second] = iso.slice(1, 7).map(part => Number(part || 0));
+    return isoDate({ year, month, day, hour, minute, second })
+      ? { value: text, error: null }
+      : { value: null, error: `"${value}" is not a valid date`, report: true };
+  }
+
+  const formats = [].concat(options.format || []);
+  const readers = formats.length > 0
+    ? formats.map(format => (typeof format === 'function' ? format : compileDateFormat(format)))
+    : [defaultDate];
+
+  for (const read of readers) {
+    const iso = read(text);
+    if (iso) return { value: iso, error: null };
+  }
+
+  const expected = formats.length > 0 ? readers.map(read => read.formatName).join(' or ') : 'a known date format';
+  return { value: text, error: `"${value}" is not a date in ${expected}` };
+}
+
+// Parsing options per column from a table schema (see top of file), with
+// date formats compiled once. Throws on an unknown locale or a bad format.
+function columnFormats(schema) {
+  const formats = {};
+  const configured = schema.formats || {};
+
+  if (schema.locale) numberSymbols(schema.locale);
+
+  Object.keys(configured).forEach(col => {
+    const declared = configured[col];
+    try {
+      if (declared.locale) numberSymbols(declared.locale);
+      formats[col] = {
+        locale: declared.locale || schema.locale,
+        format: [].concat(declared.format || []).map(compileDateFormat),
+        strict: declared.strict !== undefined ? declared.strict : !!schema.strictParsing
+      };
+    } catch (err) {
+      throw new Error(`formats.${col}: ${err.message}`);
+    }
+  });
+
+  return formats;
+}
+
+// Create the value parser of a table: parse(col, kind, value) with kind
+// 'numeric' or 'date' returns { value, error }. error is set for strict
+// columns and for ambiguous or impossible values (see parseNumber and
+// parseDate); other columns get the best-effort value.
+function createValueParser(schema = {}) {
+  const formats = columnFormats(schema || {});
+  const defaults = { locale: schema && schema.locale, format: [], strict: !!(schema && schema.strictParsing) };
+
+  return (col, kind, value) => {
+    const options = formats[col] || defaults;
+    const result = kind === 'numeric'
+      ? parseNumber(value, options)
+      : parseDate(value, options);
+    return options.strict || result.report ? { value: result.value, error: result.error } : { value: result.value, error: null };
+  };
+}
+
+module.exports = {
+  parseNumber,
+  parseDate,
+  excelSerialDate,
+  utcDate,
+  numberText,
+  compileDateFormat,
+  createValueParser
+};
@@ -0,0 +1,201 @@
+const { loadSchemas, detectTableName } = require('./tableManager');
+const { matchesFilePattern } = require('./router');
+const { isWorkbook, readWorkbook, readFirstRow } = require('./fileReader');
+const { isRejectsFile } = require('./rejects');
+const { detectDialect, resolveDialect } = require('./csvDialect');
+
+// Name a sheet load goes by in logs, jobs, the audit table and its rejects
+// file, e.g. "export.xlsx [Detail]"
+function sheetFileName(fileName, sheet) {
+  return sheet ? `${fileName} [${sheet}]` : fileName;
+}
+
+// Tables that may read a sheet. A table with "sheets" in tableSchemas.json
+// (sheet names or globs, e.g. ["Detail", "Penjualan*"]) reads the sheets
+// matching them; a table without it reads only the first sheet.
+function tablesForSheet(schemas, sheet, sheetIndex) {
+  return Object.keys(schemas).filter(tableName => {
+    const sheets = schemas[tableName].sheets;
+    if (sheets && sheets.length > 0) {
+      return matchesFilePattern(sheet, sheets);
+    }
+    return sheetIndex === 0;
+  });
+}
+
+// Detect a CSV file's dialect and table. The table's csv overrides in
+// tableSchemas.json apply to its load; when the detected dialect gives
+// headers no table matches, each table's overrides are tried in turn.
+async function resolveCsvLoad(file, fileName) {
+  const schemas = loadSchemas();
+  const detected = detectDialect(file.filePath);
+
+  const detect = async (dialect, tableNames) => {
+    const firstRow = await readFirstRow(file.filePath, file.fileType, { dialect });
+    if (!firstRow) {
+      throw new Error('File is empty or has no data rows');
+    }
+    const headers = Object.keys(firstRow);
+    return { headers, tableName: detectTableName(fileName, headers, tableNames) };
+  };
+
+  let detection = null;
+  try {
+    detection = await detect(detected);
+  } catch (err) {
+    for (const tableName of Object.keys(schemas).filter(name => schemas[name].csv)) {
+      try {
+        detection = await detect(resolveDialect(detected, schemas[tableName].csv), [tableName]);
+        break;
+      } catch (overrideErr) {
+        // Not this table either
+      }
+    }
+    if (!detection) throw err;
+  }
+
+  const { tableName, headers } = detection;
+  return {
+    fileType: 'csv',
+    sheet: null,
+    sheetIndex: 0,
+    tableName,
+    headers,
+    isRejects: isRejectsFile(headers),
+    dialect: resolveDialect(detected, schemas[tableName].csv),
+    layout: null
+  };
+}
+
+// Tables with a fixedWidth layout whose detection.filePatterns match the
+// file name. Fixed-width files have no header row, so they are claimed by
+// file name only.
+function fixedWidthTables(schemas, fileName) {
+  return Object.keys(schemas).filter(tableName => {
+    const schema = schemas[tableName];
+    const patterns = schema.detection && schema.detection.filePatterns;
+    return schema.fixedWidth && patterns && patterns.length > 0 && matchesFilePattern(fileName, patterns);
+  });
+}
+
+// Load of a fixed-width text file into the table whose layout claims it;
+// the layout's column names stand in for headers
+async function resolveFixedWidthLoad(file, tableName, layout) {
+  const firstRow = await readFirstRow(file.filePath, 'fixedWidth', { layout });
+  if (!firstRow) {
+    throw new Error('File is empty or has no data rows');
+  }
+
+  return {
+    fileType: 'fixedWidth',
+    sheet: null,
+    sheetIndex: 0,
+    tableName,
+    headers: Object.keys(firstRow),
+    isRejects: false,
+    dialect: null,
+    layout
+  };
+}
+
+// Peek at a file and decide what to load from it: one load for a text,
+// JSON or single-sheet workbook file, one per matched sheet for a
+// multi-sheet workbook. Each sheet goes through table detection on its own
+// headers.
+// Returns { loads: [{ fileType, sheet, sheetIndex, tableName, headers,
+//                     isRejects, workbook, dialect, layout }],
+//           unmatchedSheets: [{ sheet, reason }] }
+// fileType is the reader for the load (fixedWidth for a text file claimed
+// by a table's layout); sheet is null except for multi-sheet workbooks.
+// workbook is the parsed workbook, shared by the loads of a workbook file
+// so it is parsed once (null for other files).
+// Throws when nothing in the file matches a table.
+async function resolveLoads(file, fileName) {
+  if (file.fileType === 'csv') {
+    const schemas = loadSchemas();
+    const fixedWidth = fixedWidthTables(schemas, fileName);
+    if (fixedWidth.length > 1) {
+      throw new Error(`Ambiguous fixed-width layout for ${fileName}: ${fixedWidth.join(', ')} all match its name`);
+    }
+    if (fixedWidth.length === 1) {
+      const load = await resolveFixedWidthLoad(file, fixedWidth[0], schemas[fixedWidth[0]].fixedWidth);
+      return { loads: [load], unmatchedSheets: [] };
+    }
+
+    return { loads: [await resolveCsvLoad(file, fileName)], unmatchedSheets: [] };
+  }
+
+  const workbook = isWorkbook(file.fileType) ? readWorkbook(file.filePath) : null;
+  const sheets = workbook ? workbook.SheetNames || [] : [];
+
+  if (sheets.length <= 1) {
+    const firstRow = await readFirstRow(file.filePath, file.fileType, { workbook });
+    if (!firstRow) {
+      throw new Error('File is empty or has no data rows');
+    }
+    const headers = Object.keys(firstRow);
+    const tableName = detectTableName(fileName, headers);
+    return {
+      loads: [{
+        fileType: file.fileType,
+        sheet: null,
+        sheetIndex: 0,
+        tableName,
+        headers,
+        isRejects: isRejectsFile(headers),
+        workbook,
+        dialect: null,
+        layout: null
+      }],
+      unmatchedSheets: []
+    };
+  }
+
+  const schemas = loadSchemas();
+  const loads = [];
+  const unmatchedSheets = [];
+
+  for (const [sheetIndex, sheet] of sheets.entries()) {
+    const tableNames = tablesForSheet(schemas, sheet, sheetIndex);
+    if (tableNames.length === 0) {
+      unmatchedSheets.push({ sheet, reason: 'no table in tableSchemas.json reads this sheet' });
+      continue;
+    }
+
+    const firstRow = await readFirstRow(file.filePath, file.fileType, { sheet, workbook });
+    if (!firstRow) {
+      unmatchedSheets.push({ sheet, reason: 'sheet is empty' });
+      continue;
+    }
+
+    const headers = Object.keys(firstRow);
+    try {
+      const tableName = detectTableName(fileName, headers, tableNames);
+      loads.push({
+        fileType: file.fileType,
+        sheet,
+        sheetIndex,
+        tableName,
+        headers,
+        isRejects: isRejectsFile(headers),
+        workbook,
+        dialect: null,
+        layout: null
+      });
+    } catch (err) {
+      unmatchedSheets.push({ sheet, reason: err.message });
+    }
+  }
+
+  if (loads.length === 0) {
+    const reasons = unmatchedSheets.map(unmatched => `${unmatched.sheet}: ${unmatched.reason}`);
+    throw new Error(`No sheet of ${fileName} matches a table (${reasons.join('; ')})`);
+  }
+
+  return { loads, unmatchedSheets };
+}
+
+module.exports = {
+  sheetFileName,
+  resolveLoads
+};
@@ -0,0 +1,195 @@
+const sql = require('mssql');
+const { backupStatement } = require('./loadTracking');
+const { utcDate } = require('./valueParser');
+
+// Write modes (tableSchemas.json -> writeMode):
+//   append                  insert every row
+//   replaceScope            delete existing rows in the file's date range and
+//                           partitions (scope.dateColumn / scope.partitionColumns), then insert
+//   upsert                  MERGE on primaryKey (update existing, insert new)
+//   insertIgnoreDuplicates  insert only rows whose primaryKey is not in the table yet
+const WRITE_MODES = ['append', 'replaceScope', 'upsert', 'insertIgnoreDuplicates'];
+
+// Modes that compare against existing rows and therefore go through staging
+const STAGING_MODES = ['upsert', 'insertIgnoreDuplicates'];
+
+// Get replacement scope columns for a table
+function getScopeConfig(schema) {
+  const scope = (schema && schema.scope) || {};
+  return {
+    dateColumn: scope.dateColumn || null,
+    partitionColumns: scope.partitionColumns || []
+  };
+}
+
+// Resolve and validate the write mode for a table
+function resolveWriteMode(tableName, schema, override) {
+  const writeMode = override || (schema && schema.writeMode) || 'append';
+
+  if (!WRITE_MODES.includes(writeMode)) {
+    throw new Error(`Unknown writeMode "${writeMode}" for ${tableName} (expected ${WRITE_MODES.join(', ')})`);
+  }
+
+  if (writeMode === 'replaceScope' && !getScopeConfig(schema).dateColumn) {
+    throw new Error(`writeMode replaceScope for ${tableName} needs scope.dateColumn in tableSchemas.json`);
+  }
+
+  if (STAGING_MODES.includes(writeMode) && !(schema && schema.primaryKey && schema.primaryKey.length > 0)) {
+    throw new Error(`writeMode ${writeMode} for ${tableName} needs a primaryKey in tableSchemas.json`);
+  }
+
+  return writeMode;
+}
+
+// Build the WHERE clause for the scope, adding its parameters to the request.
+// Partition values go in one JSON parameter read with OPENJSON, so files
+// with thousands of stores stay under SQL Server's 2100 parameter limit.
+function buildScopeFilter(request, scopeConfig, scope) {
+  request.input('minDate', sql.Date, utcDate(scope.minDate));
+  request.input('maxDate', sql.Date, utcDate(scope.maxDate));
+
+  let where = `[${scopeConfig.dateColumn}] BETWEEN @minDate AND @maxDate`;
+  const partitions = scope.partitions || [];
+  const columns = scopeConfig.partitionColumns;
+
+  if (columns.length > 0 && partitions.length > 0) {
+    const values = partitions.map(partition => columns.map(col => partition[col]));
+    request.input('partitions', sql.NVarChar(sql.MAX), JSON.stringify(values));
+
+    const fields = columns.map((col, idx) => `[part${idx}] NVARCHAR(4000) '$[${idx}]'`).join(', ');
+    const partitionRows = `OPENJSON(@partitions) WITH (${fields}) p`;
+
+    if (columns.length === 1) {
+      // Single partition column: simple IN list
+      where += ` AND [${columns[0]}] IN (SELECT p.[part0] FROM ${partitionRows})`;
+    } else {
+      // Several partition columns: match each value combination
+      const conditions = columns.map((col, idx) => `[${col}] = p.[part${idx}]`).join(' AND ');
+      where += ` AND EXISTS (SELECT 1 FROM ${partitionRows} WHERE ${conditions})`;
+    }
+  }
+
+  return where;
+}
+
+// Delete existing rows in the file's date range (and partitions, if any).
+// With a backup target (see loadTracking.js) the rows are copied there first.
+async function deleteScope(transaction, tableName, schema, scope, log, backup = null) {
+  const scopeConfig = getScopeConfig(schema);
+  if (!scope.minDate || !scope.maxDate) {
+    log(`No ${scopeConfig.dateColumn} values in file, nothing deleted`, 'WARN');
+    return 0;
+  }
+
+  const deleteRequest = new sql.Request(transaction);
+  const where = buildScopeFilter(deleteRequest, scopeConfig, scope);
+
+  if (scope.partitions && scope.partitions.length > 0) {
+    log(`Deleting data for ${scopeConfig.partitionColumns.join('/')}: ${scope.stores.join(', ')}`);
+  } else {
+    log(`WARNING: No partitions detected, deleting by date only!`, 'WARN');
+  }
+
+  const backupSql = backup ? backupStatement(deleteRequest, backup, `FROM [${tableName}] t WHERE ${where}`) : '';
+  const deleteResult = await deleteRequest.query(`${backupSql} DELETE FROM [${tableName}] WHERE ${where}`);
+  const deletedCount = deleteResult.rowsAffected[deleteResult.rowsAffected.length - 1];
+  log(`Deleted ${deletedCount} existing rows${backup ? ` (kept in ${backup.table})` : ''}`);
+  return deletedCount;
+}
+
+// Count existing rows in the file's scope (what replaceScope would delete)
+async function countScope(pool, tableName, schema, scope) {
+  if (!scope.minDate || !scope.maxDate) return 0;
+
+  const countRequest = pool.request();
+  const where = buildScopeFilter(countRequest, getScopeConfig(schema), scope);
+  const countResult = await countRequest.query(`SELECT COUNT(*) AS count FROM [${tableName}] WHERE ${where}`);
+  return countResult.recordset[0].count;
+}
+
+// MERGE staged rows into the live table on primaryKey. With a backup target
+// the rows about to be updated are copied there first.
+async function mergeFromStaging(transaction, tableName, stagingTable, columns, primaryKey, backup) {
+  const onClause = primaryKey.map(col => `target.[${col}] = source.[${col}]`).join(' AND ');
+  const updateColumns = columns.filter(col => !primaryKey.includes(col));
+  const columnList = columns.map(col => `[${col}]`).join(', ');
+  const sourceList = columns.map(col => `source.[${col}]`).join(', ');
+
+  const updateClause = updateColumns.length > 0
+    ? `WHEN MATCHED THEN UPDATE SET ${updateColumns.map(col => `target.[${col}] = source.[${col}]`).join(', ')}`
+    : '';
+
+  const request = new sql.Request(transaction);
+  const backupSql = backup ? backupStatement(request, backup, `
+    FROM [${tableName}] t
+    WHERE EXISTS (SELECT 1 FROM [${stagingTable}] source WHERE ${primaryKey.map(col => `t.[${col}] = source.[${col}]`).join(' AND ')})
+  `) : '';
+
+  const result = await request.query(`
+    ${backupSql}
+    MERGE [${tableName}] AS target
+    USING [${stagingTable}] AS source
+    ON ${onClause}
+    ${updateClause}
+    WHEN NOT MATCHED BY TARGET THEN INSERT (${columnList}) VALUES (${sourceList});
+  `);
+  return result.rowsAffected[result.rowsAffected.length - 1];
+}
+
+// Insert staged rows whose primaryKey is not in the live table yet
+// (duplicates inside the file keep their first occurrence)
+async function insertMissingFromStaging(transaction, tableName, stagingTable, columns, primaryKey) {
+  const columnList = columns.map(col => `[${col}]`).join(', ');
+  const sourceList = columns.map(col => `s.[${col}]`).join(', ');
+  const pkList = primaryKey.map(col => `[${col}]`).join(', ');
+  const existsClause = primaryKey.map(col => `t.[${col}] = s.[${col}]`).join(' AND ');
+
+  const result = await new sql.Request(transaction).query(`
+    INSERT INTO [${tableName}] (${columnList})
+    SELECT ${sourceList}
+    FROM (
+      SELECT *, ROW_NUMBER() OVER (PARTITION BY ${pkList} ORDER BY (SELECT NULL)) AS __rn
+      FROM [${stagingTable}]
+    ) s
+    WHERE s.__rn = 1
+      AND NOT EXISTS (SELECT 1 FROM [${tableName}] t WHERE ${existsClause})
+  `);
+  return result.rowsAffected[0];
+}
+
+// Apply staged rows to the live table according to the write mode
+// Returns { deletedCount, appliedCount }
+async function applyFromStaging(transaction, writeMode, tableName, schema, stagingTable, columns, scope, log, backup = null) {
+  const columnList = columns.map(col => `[${col}]`).join(', ');
+  let deletedCount = 0;
+  let appliedCount;
+
+  if (writeMode === 'upsert') {
+    appliedCount = await mergeFromStaging(transaction, tableName, stagingTable, columns, schema.primaryKey, backup);
+    log(`Merged on ${schema.primaryKey.join(', ')}`);
+  } else if (writeMode === 'insertIgnoreDuplicates') {
+    appliedCount = await insertMissingFromStaging(transaction, tableName, stagingTable, columns, schema.primaryKey);
+    log(`Inserted ${appliedCount} new rows, skipped existing ${schema.primaryKey.join(', ')}`);
+  } else {
+    if (writeMode === 'replaceScope') {
+      deletedCount = await deleteScope(transaction, tableName, schema, scope, log, backup);
+    }
+    const insertResult = await new sql.Request(transaction).query(
+      `INSERT INTO [${tableName}] (${columnList}) SELECT ${columnList} FROM [${stagingTable}]`
+    );
+    appliedCount = insertResult.rowsAffected[0];
+  }
+
+  return { deletedCount, appliedCount };
+}
+
+module.exports = {
+  WRITE_MODES,
+  STAGING_MODES,
+  getScopeConfig,
+  resolveWriteMode,
+  buildScopeFilter,
+  deleteScope,
+  countScope,
+  applyFromStaging
+};